@@ -1,6 +1,8 @@
 const { initializeBot } = require('./src/bot');
-const { initializeSchedulers, processAllPendingNotifications } = require('./src/scheduler');
+const { initializeSchedulers, stopSchedulers, processAllPendingNotifications } = require('./src/scheduler');
 const { cleanupWeatherCache } = require('./src/weather');
+const { BOT_MODES, BOT_MODE, getWebhookConfig, createServer } = require('./src/server');
+const { getApiConfig, createApiServer } = require('./src/api');
 require('dotenv').config();
 
 // Catch unhandled errors
@@ -12,16 +14,113 @@ process.on('unhandledRejection', (reason, promise) => {
   console.error('Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
+/**
+ * Start receiving updates by long polling
+ * @param {Object} bot - Telegram bot instance
+ */
+async function startPolling(bot) {
+  // launch() only resolves once polling stops, so wait for it to connect instead
+  await new Promise((resolve, reject) => {
+    bot.launch(resolve).catch(error => {
+      console.error('Polling stopped:', error);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Start an HTTP server listening
+ * @param {Object} server - HTTP server
+ * @param {number} port
+ * @param {string} host
+ */
+async function listen(server, port, host) {
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+}
+
+/**
+ * Start receiving updates through a webhook served by the built-in HTTP server
+ * @param {Object} bot - Telegram bot instance
+ * @returns {Promise<Object>} The HTTP server
+ */
+async function startWebhook(bot) {
+  const webhook = getWebhookConfig();
+  const server = createServer(bot, webhook);
+  
+  await listen(server, webhook.port, webhook.host);
+  console.log(`Listening for webhook updates on ${webhook.host}:${webhook.port}${webhook.path}`);
+  
+  bot.botInfo = await bot.telegram.getMe();
+  await bot.telegram.setWebhook(webhook.url, { secret_token: webhook.secretToken });
+  console.log(`Webhook set to ${webhook.url}`);
+  
+  return server;
+}
+
+/**
+ * Start the HTTP server for /healthz only (polling mode with PORT set)
+ * @param {Object} bot - Telegram bot instance
+ * @returns {Promise<Object>} The HTTP server
+ */
+async function startHealthServer(bot) {
+  const server = createServer(bot);
+  const port = parseInt(process.env.PORT);
+  const host = process.env.HOST || '0.0.0.0';
+  
+  await listen(server, port, host);
+  console.log(`Health check listening on ${host}:${port}/healthz`);
+  
+  return server;
+}
+
+/**
+ * Start the admin API (when ADMIN_API_PORT is set)
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} config - Admin API settings from getApiConfig
+ * @returns {Promise<Object>} The HTTP server
+ */
+async function startAdminApi(bot, config) {
+  const server = createApiServer(bot, config.token);
+  
+  await listen(server, config.port, config.host);
+  console.log(`Admin API listening on ${config.host}:${config.port}/api`);
+  
+  return server;
+}
+
 async function main() {
   try {
     console.log('Starting SaveMyPlants! bot...');
     
+    if (!BOT_MODES.includes(BOT_MODE)) {
+      throw new Error(`Unknown BOT_MODE "${BOT_MODE}". Use one of: ${BOT_MODES.join(', ')}`);
+    }
+    
+    // Check the admin API settings before connecting to Telegram
+    const apiConfig = process.env.ADMIN_API_PORT ? getApiConfig() : null;
+    
     // Initialize the Telegram bot
     const bot = initializeBot();
+    let server = null;
+    let apiServer = null;
     
     // Start the bot
-    await bot.launch();
-    console.log('Bot started successfully!');
+    if (BOT_MODE === 'webhook') {
+      server = await startWebhook(bot);
+    } else {
+      await startPolling(bot);
+      if (process.env.PORT) {
+        server = await startHealthServer(bot);
+      }
+    }
+    console.log(`Bot started successfully in ${BOT_MODE} mode!`);
+    
+    if (apiConfig) {
+      apiServer = await startAdminApi(bot, apiConfig);
+    }
     
     // Process any pending notifications
     await processAllPendingNotifications(bot);
@@ -35,15 +134,28 @@ async function main() {
     console.log('Bot is now running. Press Ctrl+C to stop.');
     
     // Enable graceful stop
-    process.once('SIGINT', () => {
-      bot.stop('SIGINT');
-      console.log('Bot stopped.');
-    });
+    const stop = async (signal) => {
+      stopSchedulers();
+      
+      if (BOT_MODE === 'webhook') {
+        // Updates sent while the bot is down wait at Telegram until the webhook is set again
+        try {
+          await bot.telegram.deleteWebhook();
+          console.log('Webhook removed.');
+        } catch (error) {
+          console.error('Error removing webhook:', error.message);
+        }
+      } else {
+        bot.stop(signal);
+      }
+      
+      server?.close();
+      apiServer?.close();
+      console.log(`Bot stopped (${signal}).`);
+    };
     
-    process.once('SIGTERM', () => {
-      bot.stop('SIGTERM');
-      console.log('Bot terminated.');
-    });
+    process.once('SIGINT', () => stop('SIGINT'));
+    process.once('SIGTERM', () => stop('SIGTERM'));
   } catch (error) {
     console.error('Error starting the bot:', error);
     process.exit(1);
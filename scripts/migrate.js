@@ -0,0 +1,64 @@
+/**
+ * Database migration script
+ *
+ * Usage:
+ *   node scripts/migrate.js              Apply all pending migrations
+ *   node scripts/migrate.js up [version] Apply pending migrations up to a version
+ *   node scripts/migrate.js rollback [n] Undo the last n migrations (default 1)
+ *   node scripts/migrate.js status       Show which migrations have been applied
+ */
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { getCurrentVersion, getMigrationStatus, migrate, rollback, formatMigration } = require('../src/migrate');
+require('dotenv').config();
+
+const [command = 'up', arg] = process.argv.slice(2);
+
+// Ensure data directory exists
+const dbDir = path.dirname(process.env.DB_PATH);
+if (!fs.existsSync(dbDir)) {
+  console.log(`Creating database directory: ${dbDir}`);
+  fs.mkdirSync(dbDir, { recursive: true });
+}
+
+const db = new Database(process.env.DB_PATH);
+db.pragma('foreign_keys = ON');
+
+try {
+  switch (command) {
+    case 'up': {
+      const target = arg ? parseInt(arg) : Infinity;
+      if (Number.isNaN(target)) throw new Error(`Invalid version: ${arg}`);
+
+      const applied = migrate(db, target);
+      console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is already up to date.');
+      break;
+    }
+
+    case 'rollback': {
+      const steps = arg ? parseInt(arg) : 1;
+      if (Number.isNaN(steps) || steps < 1) throw new Error(`Invalid number of migrations: ${arg}`);
+
+      const rolledBack = rollback(db, steps);
+      console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s).` : 'No migrations to roll back.');
+      break;
+    }
+
+    case 'status':
+      for (const migration of getMigrationStatus(db)) {
+        console.log(`${migration.appliedAt ? '✓' : ' '} ${formatMigration(migration)}${migration.appliedAt ? ` (applied ${migration.appliedAt})` : ''}`);
+      }
+      break;
+
+    default:
+      throw new Error(`Unknown command: ${command}. Use up, rollback or status.`);
+  }
+
+  console.log(`Database ${process.env.DB_PATH} is at schema version ${getCurrentVersion(db)}.`);
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+} 
\ No newline at end of file
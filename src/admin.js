@@ -0,0 +1,166 @@
+/**
+ * Operator commands
+ *
+ * Telegram users whose IDs are listed in ADMIN_IDS can use /stats, /broadcast, /user
+ * and /forcecheck in a private chat with the bot. Everyone else is told the commands
+ * don't exist, and they aren't listed in their /help.
+ */
+const { userOps, locationOps, notificationOps, statsOps } = require('./db');
+const { getApiCallsToday } = require('./budget');
+const { getCacheStats } = require('./weather');
+const { getLocationProvider } = require('./providers');
+const { formatThreshold, getEffectiveThreshold } = require('./thresholds');
+const { getUserTimezone } = require('./timezones');
+const { sendDirectMessage } = require('./outbox');
+require('dotenv').config();
+
+// Comma-separated Telegram user IDs, e.g. ADMIN_IDS=12345678,87654321
+const ADMIN_IDS = new Set((process.env.ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean));
+
+const ADMIN_COMMANDS = ['stats', 'broadcast', 'user', 'forcecheck'];
+
+// Notifications listed by /user
+const RECENT_NOTIFICATION_COUNT = 10;
+
+// Telegram's limit on the length of a message
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Check whether a Telegram user is an operator
+ * @param {string|number} telegramId - Telegram user ID
+ * @returns {boolean}
+ */
+function isAdmin(telegramId) {
+  return ADMIN_IDS.has(String(telegramId));
+}
+
+/**
+ * Gather usage statistics
+ * @returns {Object} { users, locations, notifications, apiCalls, cache }
+ */
+function getStats() {
+  return {
+    users: statsOps.getUserCounts.get(),
+    locations: statsOps.getLocationCounts.get(),
+    notifications: statsOps.getNotificationCounts.get(),
+    apiCalls: getApiCallsToday(),
+    cache: getCacheStats()
+  };
+}
+
+/**
+ * Format usage statistics for /stats
+ * @param {Object} stats - Result of getStats
+ * @returns {string}
+ */
+function formatStats(stats) {
+  const { users, locations, notifications, apiCalls, cache } = stats;
+  const totalCalls = apiCalls.reduce((sum, usage) => sum + usage.count, 0);
+  const lookups = cache.hits + cache.misses;
+  const hitRate = lookups ? `${Math.round(cache.hits / lookups * 100)}% (${cache.hits} of ${lookups} lookups)` : 'no lookups yet';
+
+  return [
+    '📊 SaveMyPlants stats',
+    '',
+    `👤 Users: ${users.total - users.groups}, groups: ${users.groups} (${users.inactive} unreachable)`,
+    `📍 Locations: ${locations.total} (${locations.shared} shared), plants: ${locations.plants}`,
+    `🔔 Notifications: ${notifications.total} (${notifications.last_day} in the last day)`,
+    `   sent ${notifications.sent}, pending ${notifications.pending}, failed ${notifications.failed}`,
+    `🛰️ API calls today: ${totalCalls}` +
+      (apiCalls.length ? ` (${apiCalls.map(usage => `${usage.provider} ${usage.count}`).join(', ')})` : ''),
+    `🗺️ Cache hit rate since start: ${hitRate}`
+  ].join('\n');
+}
+
+/**
+ * Find a user or group chat from a Telegram ID or @username
+ * @param {string} query
+ * @returns {Object|null} User row
+ */
+function findUser(query) {
+  const text = query.trim();
+
+  if (/^-?\d+$/.test(text)) {
+    return userOps.getUserByTelegramId.get(text) || null;
+  }
+
+  return userOps.getUserByUsername.get(text.replace(/^@/, '')) || null;
+}
+
+/**
+ * Describe a user's account, locations and recent notifications for /user
+ * @param {Object} user - User row
+ * @returns {string}
+ */
+function formatUserReport(user) {
+  const name = [user.first_name, user.last_name].filter(Boolean).join(' ') || '(no name)';
+  const lines = [
+    `👤 ${name}${user.username ? ` (@${user.username})` : ''}`,
+    `Telegram ID: ${user.telegram_id}, user #${user.id}, ${user.chat_type || 'private'} chat`,
+    `Joined: ${user.created_at} UTC`,
+    `Status: ${user.inactive_since ? `unreachable since ${user.inactive_since} UTC` : 'active'}`,
+    `Threshold: ${user.temp_threshold !== null ? formatThreshold(user.temp_threshold) : 'default'}, ` +
+      `timezone: ${getUserTimezone(user)}` +
+      (user.quiet_start ? `, quiet hours: ${user.quiet_start}-${user.quiet_end}` : '')
+  ];
+
+  const locations = locationOps.getLocationsForUser.all(user.id);
+  lines.push('', `📍 Locations (${locations.length}):`);
+
+  for (const location of locations) {
+    const shared = location.user_id === user.id ?
+      (location.member_count > 1 ? `, shared with ${location.member_count - 1}` : '') :
+      `, shared by user #${location.user_id}`;
+
+    lines.push(
+      `• #${location.id} ${location.name}: ${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}, ` +
+      `${getLocationProvider(location)}, alerts at ${formatThreshold(getEffectiveThreshold(location))}${shared}`
+    );
+  }
+
+  const notifications = notificationOps.getRecentNotificationsForUser.all(user.id, RECENT_NOTIFICATION_COUNT);
+  lines.push('', `🔔 Recent notifications (${notifications.length}):`);
+
+  for (const notification of notifications) {
+    const status = notification.sent ? 'sent' :
+      notification.failed_at ? `failed: ${notification.last_error}` :
+        `pending, ${notification.attempts} attempt(s)`;
+
+    lines.push(`• ${notification.created_at} ${notification.notification_type} for ${notification.location_name} (${status})`);
+  }
+
+  const report = lines.join('\n');
+  return report.length > MAX_MESSAGE_LENGTH ? `${report.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : report;
+}
+
+/**
+ * Send a message to every user and group chat the bot can still reach
+ * @param {Object} bot - Telegram bot instance
+ * @param {string} message - Text to send
+ * @returns {Promise<Object>} { sent, failed }
+ */
+async function broadcastMessage(bot, message) {
+  const result = { sent: 0, failed: 0 };
+
+  for (const user of userOps.getActiveUsers.all()) {
+    if (await sendDirectMessage(bot, user, message)) {
+      result.sent++;
+    } else {
+      result.failed++;
+    }
+  }
+
+  console.log(`Broadcast sent to ${result.sent} chat(s), ${result.failed} failed`);
+  return result;
+}
+
+module.exports = {
+  ADMIN_COMMANDS,
+  MAX_MESSAGE_LENGTH,
+  isAdmin,
+  getStats,
+  formatStats,
+  findUser,
+  formatUserReport,
+  broadcastMessage
+}; 
\ No newline at end of file
@@ -0,0 +1,493 @@
+/**
+ * Admin API
+ *
+ * A small JSON API for dashboards, started alongside the bot when ADMIN_API_PORT is set.
+ * It listens on localhost unless ADMIN_API_HOST says otherwise, and every request needs
+ * an "Authorization: Bearer <ADMIN_API_TOKEN>" header. Lists take ?limit= and ?offset=
+ * and return { data, pagination: { limit, offset, total } }.
+ *
+ * GET  /api/users                     Users and group chats
+ * GET  /api/users/:id                 A user with the locations they get alerts for
+ * GET  /api/locations                 Locations with their latest forecast analysis
+ * GET  /api/locations/:id             A location with its members, plants and forecast analysis
+ * POST /api/locations/:id/pause       Pause a location's alerts: { "hours": 12 } or { "until": "<date>" }
+ * GET  /api/notifications             Notifications, filtered by ?type=, ?sent=, ?from=, ?to=,
+ *                                     ?location_id= and ?user_id=
+ * POST /api/notifications/:id/resend  Send a notification again
+ * GET  /api/cache                     Weather cache entries, filtered by ?provider=
+ * GET  /api/cache/:id                 A weather cache entry with its forecast
+ */
+const http = require('http');
+const crypto = require('crypto');
+const {
+  userOps,
+  locationOps,
+  plantOps,
+  notificationOps,
+  memberOps,
+  muteOps,
+  weatherCacheOps,
+  statsOps
+} = require('./db');
+const { getCachedForecast, analyzeForecast } = require('./weather');
+const { getEffectiveThreshold } = require('./thresholds');
+const { getLocationProvider } = require('./providers');
+const { getUserTimezone } = require('./timezones');
+const { resendNotification } = require('./scheduler');
+const { MAX_MUTE_HOURS } = require('./snooze');
+require('dotenv').config();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_BODY_SIZE = 64 * 1024;
+const MIN_TOKEN_LENGTH = 16;
+
+// Mute reason for locations paused through the API
+const PAUSE_REASON = 'paused';
+
+/**
+ * Read and check the admin API settings from .env
+ * @returns {Object} { port, host, token }
+ * @throws {Error} If the token is missing or too short
+ */
+function getApiConfig() {
+  const token = process.env.ADMIN_API_TOKEN;
+
+  if (!token || token.length < MIN_TOKEN_LENGTH) {
+    throw new Error(`ADMIN_API_TOKEN must be set to at least ${MIN_TOKEN_LENGTH} characters to use the admin API`);
+  }
+
+  return {
+    port: parseInt(process.env.ADMIN_API_PORT),
+    host: process.env.ADMIN_API_HOST || '127.0.0.1',
+    token
+  };
+}
+
+/**
+ * Create an error that is reported to the client with an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check a request's bearer token
+ * @param {http.IncomingMessage} req
+ * @param {string} token - Expected token
+ * @returns {boolean}
+ */
+function isAuthorized(req, token) {
+  const [scheme, value = ''] = (req.headers.authorization || '').split(' ');
+  // Comparing digests takes the same time whatever the tokens' lengths
+  const digest = (text) => crypto.createHash('sha256').update(text).digest();
+
+  return scheme === 'Bearer' && crypto.timingSafeEqual(digest(value), digest(token));
+}
+
+/**
+ * Read ?limit= and ?offset=
+ * @param {URLSearchParams} query
+ * @returns {Object} { limit, offset }
+ */
+function parsePage(query) {
+  const limit = query.has('limit') ? Number(query.get('limit')) : DEFAULT_PAGE_SIZE;
+  const offset = query.has('offset') ? Number(query.get('offset')) : 0;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw httpError(400, `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw httpError(400, 'offset must be a whole number of 0 or more');
+  }
+
+  return { limit, offset };
+}
+
+/**
+ * Read an optional ID filter from the query string
+ * @param {URLSearchParams} query
+ * @param {string} name - Parameter name
+ * @returns {number|null}
+ */
+function parseIdFilter(query, name) {
+  if (!query.has(name)) {
+    return null;
+  }
+
+  const id = Number(query.get(name));
+
+  if (!Number.isInteger(id) || id < 1) {
+    throw httpError(400, `${name} must be an ID`);
+  }
+
+  return id;
+}
+
+/**
+ * Read an optional date filter from the query string
+ * @param {URLSearchParams} query
+ * @param {string} name - Parameter name
+ * @returns {string|null} ISO date
+ */
+function parseDateFilter(query, name) {
+  if (!query.has(name)) {
+    return null;
+  }
+
+  const date = new Date(query.get(name));
+
+  if (isNaN(date.getTime())) {
+    throw httpError(400, `${name} must be a date, e.g. 2024-01-31 or 2024-01-31T06:00:00Z`);
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * Add the forecast analysis from the cache to a location
+ * No weather provider is called, so the forecast may be stale or missing
+ * @param {Object} location - Location row joined with the owner's threshold and timezone
+ * @returns {Object}
+ */
+function withForecastAnalysis(location) {
+  const provider = getLocationProvider(location);
+  const threshold = getEffectiveThreshold(location);
+  const forecast = getCachedForecast(location.latitude, location.longitude, provider);
+
+  return {
+    ...location,
+    provider,
+    threshold,
+    // Only mutes for the whole location, not ones a single user set
+    pausedUntil: muteOps.getActiveMuteForLocation.get(location.id, null)?.muted_until || null,
+    forecast: forecast ? {
+      fetchedAt: forecast.fetchedAt ? new Date(forecast.fetchedAt).toISOString() : null,
+      stale: Boolean(forecast.stale)
+    } : null,
+    analysis: forecast ? analyzeForecast(forecast, threshold, getUserTimezone(location)) : null
+  };
+}
+
+/**
+ * GET /api/users
+ * @param {Object} request - { bot, id, query, body }
+ * @returns {Object} Response payload
+ */
+function listUsers({ query }) {
+  const page = parsePage(query);
+
+  return {
+    data: userOps.listUsers.all(page),
+    pagination: { ...page, total: statsOps.getUserCounts.get().total }
+  };
+}
+
+/**
+ * GET /api/users/:id
+ * @param {Object} request - { bot, id, query, body }
+ * @returns {Object} Response payload
+ */
+function getUser({ id }) {
+  const user = userOps.getUserById.get(id);
+
+  if (!user) {
+    throw httpError(404, 'User not found');
+  }
+
+  return { data: { ...user, locations: locationOps.getLocationsForUser.all(user.id) } };
+}
+
+/**
+ * GET /api/locations
+ * @param {Object} request - { bot, id, query, body }
+ * @returns {Object} Response payload
+ */
+function listLocations({ query }) {
+  const page = parsePage(query);
+
+  return {
+    data: locationOps.listLocations.all(page).map(withForecastAnalysis),
+    pagination: { ...page, total: statsOps.getLocationCounts.get().total }
+  };
+}
+
+/**
+ * GET /api/locations/:id
+ * @param {Object} request - { bot, id, query, body }
+ * @returns {Object} Response payload
+ */
+function getLocation({ id }) {
+  const location = locationOps.getLocationById.get(id);
+
+  if (!location) {
+    throw httpError(404, 'Location not found');
+  }
+
+  return {
+    data: {
+      ...withForecastAnalysis(location),
+      members: memberOps.getMembersForLocation.all(location.id),
+      plants: plantOps.getPlantsForLocation.all(location.id)
+    }
+  };
+}
+
+/**
+ * POST /api/locations/:id/pause
+ * @param {Object} request - { bot, id, query, body }
+ * @returns {Object} Response payload
+ */
+function pauseLocation({ id, body }) {
+  const location = locationOps.getLocationById.get(id);
+
+  if (!location) {
+    throw httpError(404, 'Location not found');
+  }
+
+  let until;
+
+  if (body.until !== undefined) {
+    until = new Date(body.until);
+
+    if (isNaN(until.getTime()) || until <= new Date()) {
+      throw httpError(400, 'until must be a date in the future');
+    }
+    // Same limit as users have, so a mistyped date can't silence a location for good
+    if (until > new Date(Date.now() + MAX_MUTE_HOURS * 60 * 60 * 1000)) {
+      throw httpError(400, `until must be within ${MAX_MUTE_HOURS} hours`);
+    }
+  } else if (typeof body.hours === 'number' && body.hours > 0 && body.hours <= MAX_MUTE_HOURS) {
+    until = new Date(Date.now() + body.hours * 60 * 60 * 1000);
+  } else {
+    throw httpError(400, `Send { "hours": <1 to ${MAX_MUTE_HOURS}> } or { "until": "<date>" }`);
+  }
+
+  // A mute without a user silences the location for everyone who gets its alerts
+  muteOps.addMute.run({
+    locationId: location.id,
+    userId: null,
+    notificationId: null,
+    reason: PAUSE_REASON,
+    mutedUntil: until.toISOString()
+  });
+
+  console.log(`Location ${location.id} paused until ${until.toISOString()} through the admin API`);
+  return { data: { locationId: location.id, pausedUntil: until.toISOString() } };
+}
+
+/**
+ * GET /api/notifications
+ * @param {Object} request - { bot, id, query, body }
+ * @returns {Object} Response payload
+ */
+function listNotifications({ query }) {
+  const page = parsePage(query);
+  const sent = query.get('sent');
+
+  if (sent !== null && !['true', 'false'].includes(sent)) {
+    throw httpError(400, 'sent must be true or false');
+  }
+
+  const filters = {
+    type: query.get('type'),
+    sent: sent === null ? null : Number(sent === 'true'),
+    from: parseDateFilter(query, 'from'),
+    to: parseDateFilter(query, 'to'),
+    locationId: parseIdFilter(query, 'location_id'),
+    userId: parseIdFilter(query, 'user_id')
+  };
+
+  return {
+    data: notificationOps.listNotifications.all({ ...filters, ...page }),
+    pagination: { ...page, total: notificationOps.countNotifications.get(filters).total }
+  };
+}
+
+/**
+ * Describe where a notification stands after a delivery attempt
+ * @param {Object} notification - Notification row
+ * @returns {string} 'sent', 'held' (quiet hours), 'retrying' or 'failed'
+ */
+function getDeliveryStatus(notification) {
+  if (notification.sent) {
+    return 'sent';
+  }
+  if (notification.failed_at) {
+    return 'failed';
+  }
+  return notification.held && new Date(notification.scheduled_for) > new Date() ? 'held' : 'retrying';
+}
+
+/**
+ * POST /api/notifications/:id/resend
+ * @param {Object} request - { bot, id, query, body }
+ * @returns {Promise<Object>} Response payload, with a delivery status so a resend that
+ *   was held or failed isn't mistaken for one that went out
+ */
+async function resend({ bot, id }) {
+  const notification = notificationOps.getPendingNotificationById.get(id);
+
+  if (!notification) {
+    throw httpError(404, 'Notification not found');
+  }
+
+  if (notification.inactive_since) {
+    throw httpError(409, 'The recipient has blocked the bot or removed it from the group');
+  }
+
+  await resendNotification(bot, id);
+
+  const updated = notificationOps.getPendingNotificationById.get(id);
+  return { data: { ...updated, delivery: getDeliveryStatus(updated) } };
+}
+
+/**
+ * GET /api/cache
+ * @param {Object} request - { bot, id, query, body }
+ * @returns {Object} Response payload
+ */
+function listCache({ query }) {
+  const page = parsePage(query);
+  const provider = query.get('provider');
+
+  return {
+    data: weatherCacheOps.listCacheEntries.all({ provider, ...page }).map(entry => ({ ...entry, expired: Boolean(entry.expired) })),
+    pagination: { ...page, total: weatherCacheOps.countCacheEntries.get({ provider }).total }
+  };
+}
+
+/**
+ * GET /api/cache/:id
+ * @param {Object} request - { bot, id, query, body }
+ * @returns {Object} Response payload
+ */
+function getCacheEntry({ id }) {
+  const entry = weatherCacheOps.getCacheEntryById.get(id);
+
+  if (!entry) {
+    throw httpError(404, 'Cache entry not found');
+  }
+
+  const { data, ...rest } = entry;
+  return { data: { ...rest, expired: Date.parse(rest.expires_at) <= Date.now(), forecast: JSON.parse(data) } };
+}
+
+// Each route's pattern captures the ID, if any
+const ROUTES = [
+  { method: 'GET', pattern: /^\/api\/users$/, handler: listUsers },
+  { method: 'GET', pattern: /^\/api\/users\/(\d+)$/, handler: getUser },
+  { method: 'GET', pattern: /^\/api\/locations$/, handler: listLocations },
+  { method: 'GET', pattern: /^\/api\/locations\/(\d+)$/, handler: getLocation },
+  { method: 'POST', pattern: /^\/api\/locations\/(\d+)\/pause$/, handler: pauseLocation },
+  { method: 'GET', pattern: /^\/api\/notifications$/, handler: listNotifications },
+  { method: 'POST', pattern: /^\/api\/notifications\/(\d+)\/resend$/, handler: resend },
+  { method: 'GET', pattern: /^\/api\/cache$/, handler: listCache },
+  { method: 'GET', pattern: /^\/api\/cache\/(\d+)$/, handler: getCacheEntry }
+];
+
+/**
+ * Read a JSON object from a request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>} The object, or {} if the body is empty
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+
+    if (size > MAX_BODY_SIZE) {
+      throw httpError(413, 'Request body is too large');
+    }
+
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8').trim();
+
+  if (!text) {
+    return {};
+  }
+
+  let body;
+
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw httpError(400, 'Request body must be JSON');
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+
+  return body;
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status - HTTP status code
+ * @param {Object} payload
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Create the admin API server (not yet listening)
+ * @param {Object} bot - Telegram bot instance, used to resend notifications
+ * @param {string} token - Bearer token clients must send
+ * @returns {http.Server}
+ */
+function createApiServer(bot, token) {
+  return http.createServer(async (req, res) => {
+    try {
+      // Checked before routing, so unauthenticated clients can't probe which paths exist
+      if (!isAuthorized(req, token)) {
+        return sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      const matching = ROUTES.filter(route => route.pattern.test(url.pathname));
+
+      if (!matching.length) {
+        throw httpError(404, 'Not found');
+      }
+
+      const route = matching.find(r => r.method === req.method);
+
+      if (!route) {
+        res.setHeader('Allow', matching.map(r => r.method).join(', '));
+        throw httpError(405, 'Method not allowed');
+      }
+
+      const [, id] = url.pathname.match(route.pattern);
+      const body = req.method === 'POST' ? await readJsonBody(req) : null;
+      const result = await route.handler({ bot, id: id && Number(id), query: url.searchParams, body });
+
+      sendJson(res, 200, result);
+    } catch (error) {
+      if (!error.status) {
+        console.error('Error handling admin API request:', error);
+      }
+
+      sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+    }
+  });
+}
+
+module.exports = {
+  getApiConfig,
+  createApiServer
+}; 
\ No newline at end of file
@@ -1,10 +1,42 @@
-const { Telegraf, Scenes, session } = require('telegraf');
+const { Telegraf, Scenes, session, Markup } = require('telegraf');
+const axios = require('axios');
 const { message } = require('telegraf/filters');
-const { userOps, locationOps } = require('./db');
+const { userOps, locationOps, plantOps, notificationOps, memberOps, muteOps } = require('./db');
 const { getForecast, analyzeForecast } = require('./weather');
+const {
+  DEFAULT_TEMP_THRESHOLD,
+  MIN_THRESHOLD,
+  MAX_THRESHOLD,
+  THRESHOLD_PRESETS,
+  getEffectiveThreshold,
+  parseThreshold,
+  formatThreshold
+} = require('./thresholds');
+const { PLANT_CATALOGUE, parseHardiness, findCataloguePlant, formatPlant } = require('./plants');
+const { DEFAULT_PROVIDER, getProvider, getLocationProvider, getSelectableProviders } = require('./providers');
+const { RISK_LEVELS } = require('./frost');
+const { geocode } = require('./geocoders');
+const { parsePosition, parseShortPlusCode, recoverPlusCode, isLink, formatPosition } = require('./coordinates');
+const { lookupTimezone, parseTimezone, getUserTimezone, formatDateTime, formatTime } = require('./timezones');
+const { URGENT_FROST_THRESHOLD, URGENT_MODES, DEFAULT_URGENT_MODE, parseQuietHours } = require('./quiet');
+const { SNOOZE_HOURS, RESPONSES, getMutedUntil } = require('./snooze');
+const { MEMBER_ROLES, JOIN_PREFIX, createInviteCode, buildInviteLink, parseInviteCode, formatOwnerName } = require('./sharing');
+const { MAX_IMPORT_SIZE, buildExport, buildCsvExport, parseImport, importData } = require('./export');
+const {
+  ADMIN_COMMANDS,
+  MAX_MESSAGE_LENGTH,
+  isAdmin,
+  getStats,
+  formatStats,
+  findUser,
+  formatUserReport,
+  broadcastMessage
+} = require('./admin');
+const { checkAllLocationsWeather } = require('./scheduler');
 require('dotenv').config();
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
+const MORNING_NOTIFICATION_HOUR = parseInt(process.env.MORNING_NOTIFICATION_HOUR || '7'); // Default 7am
 
 /**
  * Initialize the Telegram bot
@@ -20,6 +52,14 @@ function initializeBot() {
   // Set up middleware
   bot.use(session());
   
+  // Alerts are paused for accounts the bot couldn't reach; using the bot again resumes them
+  bot.use((ctx, next) => {
+    if (ctx.chat && ctx.from && !ctx.myChatMember) {
+      userOps.reactivateUser.run(getAccountTelegramId(ctx));
+    }
+    return next();
+  });
+  
   // Set up scenes/wizards
   const stage = setupScenes();
   bot.use(stage.middleware());
@@ -40,7 +80,7 @@ function setupScenes() {
     'add_location',
     // Step 1: Ask for location name
     async (ctx) => {
-      await ctx.reply('Please enter a name for this location (e.g., "Home Garden", "Cabin", etc.):');
+      await replyPrompt(ctx, 'Please enter a name for this location (e.g., "Home Garden", "Cabin", etc.):');
       return ctx.wizard.next();
     },
     // Step 2: Save name and ask for location
@@ -49,92 +89,78 @@ function setupScenes() {
       ctx.wizard.state.locationName = ctx.message.text;
       
       // Ask for the location
-      await ctx.reply(
+      await replyPrompt(ctx,
         'Please send your location by:\n' +
         '1. Tapping the paperclip/attachment icon\n' +
         '2. Selecting "Location"\n' +
         '3. Choose your location on the map\n\n' +
-        'Or, you can type the coordinates manually in this format: latitude,longitude\n' +
-        'Example: 51.5074,-0.1278'
+        'Or type a place name (e.g. "Bristol, UK"), or paste coordinates in any common format:\n' +
+        '51.5074,-0.1278 • 51°30\'26"N 0°7\'39"W • a Google Maps, OpenStreetMap or Apple Maps link • ' +
+        'a geo: URI • a Plus Code (e.g. 9C3XGV4C+XV)'
       );
       return ctx.wizard.next();
     },
     // Step 3: Save the location
     async (ctx) => {
       try {
-        let latitude, longitude;
-        
-        // Check if the message contains a location
-        if (ctx.message.location) {
-          // Get coords from the location object
-          latitude = ctx.message.location.latitude;
-          longitude = ctx.message.location.longitude;
-        } else if (ctx.message.text) {
-          // Try to parse coordinates from text
-          const coordsMatch = ctx.message.text.match(/^(\-?\d+(\.\d+)?),\s*(\-?\d+(\.\d+)?)$/);
-          if (!coordsMatch) {
-            await ctx.reply('Invalid format. Please send a valid location or coordinates in the format latitude,longitude');
-            return;
-          }
-          
-          latitude = parseFloat(coordsMatch[1]);
-          longitude = parseFloat(coordsMatch[3]);
-          
-          // Validate the coordinates
-          if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
-            await ctx.reply('Invalid coordinates. Latitude must be between -90 and 90, and longitude between -180 and 180.');
-            return;
-          }
-        } else {
-          await ctx.reply('Please send a location or coordinates.');
+        const position = await readPosition(ctx);
+        if (!position) {
           return;
         }
         
-        // Get user from the database or create a new one
-        const telegramId = ctx.from.id.toString();
-        let user = userOps.getUserByTelegramId.get(telegramId);
+        const { latitude, longitude } = position;
         
-        if (!user) {
-          // Insert the user
-          userOps.upsertUser.run({
-            telegramId,
-            username: ctx.from.username || null,
-            firstName: ctx.from.first_name || null,
-            lastName: ctx.from.last_name || null
-          });
-          
-          // Get the newly inserted user
-          user = userOps.getUserByTelegramId.get(telegramId);
-        }
+        // Get the user (or group chat) from the database, creating it if needed
+        const user = upsertAccount(ctx);
         
         // Save the location to the database
         try {
-          locationOps.addLocation.run({
+          const result = locationOps.addLocation.run({
             userId: user.id,
             name: ctx.wizard.state.locationName,
             latitude,
             longitude
           });
+          memberOps.addMember.run({ locationId: result.lastInsertRowid, userId: user.id, role: MEMBER_ROLES.OWNER });
+          
+          // Infer the user's timezone from their first location
+          let timezoneNote = '';
+          if (!user.timezone) {
+            user.timezone = lookupTimezone(latitude, longitude);
+            userOps.setUserTimezone.run(user.timezone, user.id);
+            timezoneNote = `\n🕒 Your timezone has been set to ${user.timezone}. Use /timezone to change it.`;
+          }
+          const timezone = getUserTimezone(user);
           
           // Get the weather for this location to provide immediate feedback
           const forecast = await getForecast(latitude, longitude);
-          const analysis = analyzeForecast(forecast);
+          const analysis = analyzeForecast(forecast, getEffectiveThreshold({ user_temp_threshold: user.temp_threshold }), timezone);
+          const threshold = formatThreshold(analysis.threshold);
           
           // Build the response message
           let responseMsg = `✅ Location "${ctx.wizard.state.locationName}" has been added!\n\n`;
           
           responseMsg += `📍 ${analysis.locationName}\n`;
-          responseMsg += `🌡️ Current temperature: ${analysis.currentTemp?.toFixed(1)}°C\n\n`;
+          responseMsg += `🌡️ Current temperature: ${analysis.currentTemp?.toFixed(1)}°C\n`;
+          if (forecast.stale) {
+            responseMsg += `⚠️ ${describeStaleForecast(forecast, timezone)}\n`;
+          }
+          responseMsg += '\n';
           
           if (analysis.isBelowFreezing) {
-            responseMsg += `❄️ Warning: It's currently below freezing at this location!\n`;
+            responseMsg += `❄️ Warning: It's currently below ${threshold} at this location!\n`;
+          } else if (analysis.willBeBelowFreezing && analysis.riskLevel === RISK_LEVELS.GROUND_FROST) {
+            const freezingTime = analysis.freezingTime ? formatDateTime(analysis.freezingTime, timezone) : 'soon';
+            responseMsg += `⚠️ Heads up: Ground frost is possible at this location on ${freezingTime}\n`;
           } else if (analysis.willBeBelowFreezing) {
-            const freezingTime = analysis.freezingTime ? analysis.freezingTime.toLocaleString() : 'soon';
-            responseMsg += `⚠️ Heads up: This location will drop below freezing on ${freezingTime}\n`;
+            const freezingTime = analysis.freezingTime ? formatDateTime(analysis.freezingTime, timezone) : 'soon';
+            responseMsg += `⚠️ Heads up: This location will drop below ${threshold} on ${freezingTime}\n`;
           } else {
-            responseMsg += `✅ No freezing temperatures expected in the next 5 days.\n`;
+            responseMsg += `✅ No temperatures below ${threshold} expected in the next 5 days.\n`;
           }
           
+          responseMsg += `\nUse /threshold to change the alert threshold for this location.` + timezoneNote;
+          
           await ctx.reply(responseMsg);
         } catch (error) {
           console.error('Error adding location:', error);
@@ -155,35 +181,577 @@ function setupScenes() {
     }
   );
 
+  // Scene for renaming or moving a location
+  const editLocationScene = new Scenes.WizardScene(
+    'edit_location',
+    // Step 1: Ask what to change
+    async (ctx) => {
+      const user = userOps.getUserByTelegramId.get(getAccountTelegramId(ctx));
+      const location = locationOps.getLocationById.get(ctx.wizard.state.locationId);
+      
+      if (!user || !location || location.user_id !== user.id) {
+        await ctx.reply('Location not found.');
+        return ctx.scene.leave();
+      }
+      
+      ctx.wizard.state.userId = user.id;
+      ctx.wizard.state.locationName = location.name;
+      
+      await ctx.reply(
+        `✏️ Editing "${location.name}" (${formatPosition(location.latitude, location.longitude)}). What would you like to change?`,
+        Markup.inlineKeyboard([
+          Markup.button.callback('Rename', 'edit:rename'),
+          Markup.button.callback('Move', 'edit:move'),
+          Markup.button.callback('Cancel', 'edit:cancel')
+        ])
+      );
+      return ctx.wizard.next();
+    },
+    // Step 2: Ask for the new name or position
+    async (ctx) => {
+      const choice = ctx.callbackQuery?.data?.match(/^edit:(rename|move|cancel)$/)?.[1];
+      
+      if (!choice) {
+        await ctx.reply('Please pick Rename, Move or Cancel above.');
+        return;
+      }
+      
+      await ctx.answerCbQuery();
+      ctx.wizard.state.field = choice;
+      
+      if (choice === 'cancel') {
+        await ctx.editMessageText(`No changes made to "${ctx.wizard.state.locationName}".`);
+        return ctx.scene.leave();
+      }
+      
+      // The prompt is a new message, as a force-reply can't be added to the edited one
+      if (choice === 'rename') {
+        await ctx.editMessageText(`✏️ Renaming "${ctx.wizard.state.locationName}".`);
+        await replyPrompt(ctx, `Please enter a new name for "${ctx.wizard.state.locationName}":`);
+      } else {
+        await ctx.editMessageText(`✏️ Moving "${ctx.wizard.state.locationName}".`);
+        await replyPrompt(ctx,
+          `Please send the new position for "${ctx.wizard.state.locationName}": ` +
+          'a location pin, a place name, coordinates or a map link.'
+        );
+      }
+      return ctx.wizard.next();
+    },
+    // Step 3: Save the change
+    async (ctx) => {
+      const { locationId, userId, locationName, field } = ctx.wizard.state;
+      
+      try {
+        if (field === 'rename') {
+          const name = ctx.message?.text?.trim();
+          
+          if (!name || name.startsWith('/')) {
+            await replyPrompt(ctx, 'Please enter a name for this location (e.g., "Home Garden", "Cabin", etc.):');
+            return;
+          }
+          
+          locationOps.renameLocation.run(name, locationId, userId);
+          await ctx.reply(`✅ "${locationName}" has been renamed to "${name}".`);
+          return ctx.scene.leave();
+        }
+        
+        const position = await readPosition(ctx);
+        if (!position) {
+          return;
+        }
+        
+        locationOps.moveLocation.run(position.latitude, position.longitude, locationId, userId);
+        await ctx.reply(`✅ "${locationName}" has been moved to ${formatPosition(position.latitude, position.longitude)}.`);
+      } catch (error) {
+        console.error('Error editing location:', error);
+        
+        if (error.message.includes('UNIQUE constraint failed')) {
+          await ctx.reply('You already have a location with that name. Please use a different name.');
+          return;
+        }
+        
+        await ctx.reply('Error editing location. Please try again.');
+      }
+      
+      return ctx.scene.leave();
+    }
+  );
+
   // Create and return the stage with scenes
-  const stage = new Scenes.Stage([addLocationScene]);
+  const stage = new Scenes.Stage([addLocationScene, editLocationScene]);
   return stage;
 }
 
 /**
- * Set up bot commands
- * @param {Object} bot - Telegraf bot instance
+ * Work out the position a user is sending in a wizard step
+ * Location pins are used as-is, typed or pasted positions are echoed back for
+ * confirmation, and place names are offered as a list of geocoder candidates
+ * @param {Object} ctx - Wizard context
+ * @returns {Promise<Object|null>} { latitude, longitude } once settled, or null while waiting for the user
  */
-function setupCommands(bot) {
-  // Start command
-  bot.start(async (ctx) => {
-    const telegramId = ctx.from.id.toString();
+async function readPosition(ctx) {
+  const state = ctx.wizard.state;
+  const retryPrompt = 'Please send a location, a place name (e.g. "Bristol, UK"), coordinates or a map link.';
+  
+  // Buttons from a previous reply: a geocoder candidate or a confirmation
+  if (ctx.callbackQuery) {
+    const [action, value] = (ctx.callbackQuery.data || '').split(':');
+    await ctx.answerCbQuery();
+    
+    const candidate = action === 'geocode' ? state.candidates?.[parseInt(value)] : null;
+    if (candidate) {
+      await ctx.editMessageText(`📍 ${candidate.displayName} (${formatPosition(candidate.latitude, candidate.longitude)})`);
+      return { latitude: candidate.latitude, longitude: candidate.longitude };
+    }
+    
+    if (action === 'position' && value === 'save' && state.pendingPosition) {
+      const { latitude, longitude } = state.pendingPosition;
+      await ctx.editMessageText(`📍 ${formatPosition(latitude, longitude)}`);
+      return { latitude, longitude };
+    }
+    
+    if (action === 'geocode' || action === 'position') {
+      await ctx.editMessageText(retryPrompt);
+    }
+    return null;
+  }
+  
+  if (!ctx.message) {
+    return null;
+  }
+  
+  if (ctx.message.location) {
+    return { latitude: ctx.message.location.latitude, longitude: ctx.message.location.longitude };
+  }
+  
+  if (!ctx.message.text) {
+    await replyPrompt(ctx, retryPrompt);
+    return null;
+  }
+  
+  const text = ctx.message.text.trim();
+  let position = parsePosition(text);
+  
+  // Short Plus Codes are relative to a town, e.g. "GV4C+XV London"
+  const shortCode = !position && parseShortPlusCode(text);
+  if (shortCode) {
+    const [reference] = await geocode(shortCode.locality);
+    
+    if (!reference) {
+      await ctx.reply(`I couldn't find "${shortCode.locality}" to work out where ${shortCode.code} is. Try the full Plus Code instead.`);
+      return null;
+    }
     
-    // Upsert the user
+    position = recoverPlusCode(shortCode.code, reference.latitude, reference.longitude);
+    if (position) {
+      position.format = `Plus Code near ${reference.displayName}`;
+    }
+  }
+  
+  // Echo back how the text was understood before saving it
+  if (position) {
+    state.pendingPosition = { latitude: position.latitude, longitude: position.longitude };
+    await ctx.replyWithLocation(position.latitude, position.longitude);
+    await ctx.reply(
+      `I read this as ${formatPosition(position.latitude, position.longitude)} (${position.format}). Is that right?`,
+      Markup.inlineKeyboard([
+        Markup.button.callback('✅ Yes, use it', 'position:save'),
+        Markup.button.callback('✏️ No, try again', 'position:retry')
+      ])
+    );
+    return null;
+  }
+  
+  if (isLink(text)) {
+    await ctx.reply(
+      'I couldn\'t find coordinates in that link. Short links (like maps.app.goo.gl) don\'t include them, ' +
+      'so open the link and share the full address from your browser, or send the coordinates.'
+    );
+    return null;
+  }
+  
+  // Anything else is looked up as a place name or postcode
+  const candidates = await geocode(text);
+  
+  if (!candidates.length) {
+    await ctx.reply(`I couldn't find "${text}". Try a nearby town (e.g. "Bristol, UK"), or send a location or coordinates.`);
+    return null;
+  }
+  
+  state.candidates = candidates;
+  await ctx.reply('Which of these did you mean?', Markup.inlineKeyboard([
+    ...candidates.map((candidate, index) => [Markup.button.callback(candidate.displayName, `geocode:${index}`)]),
+    [Markup.button.callback('None of these', 'geocode:none')]
+  ]));
+  return null;
+}
+
+/**
+ * Explain that a forecast is an old one, used while the weather provider is unavailable
+ * @param {Object} forecast - Forecast flagged as stale by getForecast
+ * @param {string} timezone - Timezone to show times in
+ * @returns {string}
+ */
+function describeStaleForecast(forecast, timezone) {
+  const fetched = forecast.fetchedAt ? ` from ${formatDateTime(forecast.fetchedAt, timezone)}` : '';
+  return `The weather service is unavailable, so this uses an older forecast${fetched}.`;
+}
+
+/**
+ * Describe the current weather and frost outlook at a location, as shown by /check
+ * @param {Object} location - Location row joined with the owner's settings
+ * @param {string} timezone - Timezone to show times in
+ * @returns {Promise<string>} Message section
+ */
+async function describeLocationWeather(location, timezone) {
+  const provider = getLocationProvider(location);
+  const forecast = await getForecast(location.latitude, location.longitude, provider);
+  const analysis = analyzeForecast(forecast, getEffectiveThreshold(location), timezone);
+  const threshold = formatThreshold(analysis.threshold);
+  
+  let message = `📍 ${location.name} (${analysis.locationName})\n`;
+  message += `Current temperature: ${analysis.currentTemp?.toFixed(1)}°C\n`;
+  message += `Alert threshold: ${threshold}\n`;
+  message += `Source: ${getProvider(provider).label}\n`;
+  
+  if (forecast.stale) {
+    message += `⚠️ ${describeStaleForecast(forecast, timezone)}\n`;
+  }
+  
+  if (analysis.isBelowFreezing) {
+    message += `❄️ Currently BELOW ${threshold}! Protect your plants!\n`;
+  } else if (analysis.willFreezeSoon) {
+    const timeUntilFreezing = analysis.freezingTime ? 
+      `in ${Math.round((analysis.freezingTime.getTime() - new Date().getTime()) / (1000 * 60 * 60))} hours` : 
+      'soon';
+    message += analysis.riskLevel === RISK_LEVELS.GROUND_FROST ?
+      `⚠️ Ground frost possible ${timeUntilFreezing} (ground down to ~${analysis.freezingLow?.toFixed(1)}°C)!\n` :
+      `⚠️ Will drop below ${threshold} ${timeUntilFreezing}!\n`;
+  } else if (analysis.willBeBelowFreezing) {
+    const freezingTime = analysis.freezingTime ? formatDateTime(analysis.freezingTime, timezone) : 'soon';
+    message += analysis.riskLevel === RISK_LEVELS.GROUND_FROST ?
+      `⚠️ Ground frost possible on ${freezingTime}\n` :
+      `⚠️ Will drop below ${threshold} on ${freezingTime}\n`;
+  } else {
+    message += `✅ No temperatures below ${threshold} expected in the next 5 days.\n`;
+  }
+  
+  if (analysis.hoursBelowThreshold) {
+    message += `⏱️ Below ${threshold} for about ${Math.round(analysis.hoursBelowThreshold)} hours` +
+      (analysis.belowThresholdUntil ? ` (until ~${formatTime(analysis.belowThresholdUntil, timezone)})` : '') + `\n`;
+  }
+  
+  if (analysis.overnightLow !== null) {
+    message += `📉 Lowest in the next 24h: ~${analysis.overnightLow.toFixed(1)}°C` +
+      ` around ${formatTime(analysis.overnightLowTime, timezone)}\n`;
+  }
+  
+  return message;
+}
+
+/**
+ * Build an inline keyboard of threshold presets
+ * @param {string} callbackPrefix - Prefix for the callback data (e.g. "threshold:user")
+ * @param {number|null} current - Currently stored value, marked with a tick
+ * @param {string} resetLabel - Label for the button that clears the stored value
+ * @returns {Object} - Inline keyboard markup
+ */
+function buildThresholdKeyboard(callbackPrefix, current, resetLabel) {
+  const buttons = THRESHOLD_PRESETS.map(value => Markup.button.callback(
+    `${value === current ? '✅ ' : ''}${formatThreshold(value)}`,
+    `${callbackPrefix}:${value}`
+  ));
+  
+  // Three presets per row, followed by the reset button
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 3) {
+    rows.push(buttons.slice(i, i + 3));
+  }
+  rows.push([Markup.button.callback(resetLabel, `${callbackPrefix}:reset`)]);
+  
+  return Markup.inlineKeyboard(rows);
+}
+
+/**
+ * Reply with the threshold picker for a user's own threshold
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} user - User row from the database
+ */
+function replyWithUserThresholdPicker(ctx, user) {
+  const hasCustom = user.temp_threshold !== null && user.temp_threshold !== undefined;
+  const current = hasCustom ? user.temp_threshold : DEFAULT_TEMP_THRESHOLD;
+  
+  return ctx.reply(
+    `🌡️ Your alert threshold is ${formatThreshold(current)}${hasCustom ? '' : ' (default)'}.\n\n` +
+    `Pick a new threshold below, or type /threshold <value> (${MIN_THRESHOLD} to ${MAX_THRESHOLD}°C).\n` +
+    'To override a single location, use /threshold <location name>.',
+    buildThresholdKeyboard('threshold:user', user.temp_threshold, `Use default (${formatThreshold(DEFAULT_TEMP_THRESHOLD)})`)
+  );
+}
+
+/**
+ * Reply with the threshold picker for a single location
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} location - Location row joined with `user_temp_threshold`
+ */
+function replyWithLocationThresholdPicker(ctx, location) {
+  const hasOverride = location.temp_threshold !== null && location.temp_threshold !== undefined;
+  const hasPlants = location.plant_threshold !== null && location.plant_threshold !== undefined;
+  const inherited = getEffectiveThreshold({ ...location, temp_threshold: null });
+  
+  let source = ' (your default)';
+  if (hasOverride) {
+    source = ' (location override)';
+  } else if (hasPlants) {
+    source = ' (from its most tender plant)';
+  }
+  
+  return ctx.reply(
+    `🌡️ Alert threshold for "${location.name}" is ${formatThreshold(getEffectiveThreshold(location))}${source}.\n\n` +
+    'Pick a threshold for this location below.',
+    buildThresholdKeyboard(
+      `threshold:loc:${location.id}`,
+      location.temp_threshold,
+      `${hasPlants ? 'Use plant hardiness' : 'Use my default'} (${formatThreshold(inherited)})`
+    )
+  );
+}
+
+/**
+ * Check whether an update comes from a group chat rather than a private chat
+ * @param {Object} ctx - Telegraf context
+ * @returns {boolean}
+ */
+function isGroupChat(ctx) {
+  return Boolean(ctx.chat) && ctx.chat.type !== 'private';
+}
+
+/**
+ * Telegram ID of the account an update belongs to
+ * Locations in a group chat belong to the group, so everyone in it shares them
+ * @param {Object} ctx - Telegraf context
+ * @returns {string}
+ */
+function getAccountTelegramId(ctx) {
+  return (isGroupChat(ctx) ? ctx.chat.id : ctx.from.id).toString();
+}
+
+/**
+ * Create or update the account (user or group chat) an update belongs to
+ * @param {Object} ctx - Telegraf context
+ * @returns {Object} User row
+ */
+function upsertAccount(ctx) {
+  const telegramId = getAccountTelegramId(ctx);
+  
+  if (isGroupChat(ctx)) {
+    userOps.upsertUser.run({
+      telegramId,
+      chatType: ctx.chat.type,
+      username: ctx.chat.username || null,
+      firstName: ctx.chat.title || null,
+      lastName: null
+    });
+  } else {
     userOps.upsertUser.run({
       telegramId,
+      chatType: 'private',
       username: ctx.from.username || null,
       firstName: ctx.from.first_name || null,
       lastName: ctx.from.last_name || null
     });
+  }
+  
+  return userOps.getUserByTelegramId.get(telegramId);
+}
+
+/**
+ * Check that the sender may change the chat's locations and settings
+ * Anyone may in a private chat; in a group only administrators may. Replies with an
+ * explanation (or answers the button press) when they may not.
+ * @param {Object} ctx - Telegraf context
+ * @returns {Promise<boolean>}
+ */
+async function requireChatAdmin(ctx) {
+  if (!isGroupChat(ctx)) {
+    return true;
+  }
+  
+  // Anonymous administrators post as the group itself
+  if (ctx.message?.sender_chat?.id === ctx.chat.id) {
+    return true;
+  }
+  
+  try {
+    const member = await ctx.telegram.getChatMember(ctx.chat.id, ctx.from.id);
+    
+    if (['creator', 'administrator'].includes(member.status)) {
+      return true;
+    }
+  } catch (error) {
+    console.error('Error checking chat administrator:', error);
+  }
+  
+  const message = 'Only group administrators can change this chat\'s locations and settings.';
+  
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery(message, { show_alert: true });
+  } else {
+    await ctx.reply(message);
+  }
+  
+  return false;
+}
+
+/**
+ * Ask for a free-text answer
+ * In groups the bot only sees replies to its own messages, so the prompt asks for a reply
+ * @param {Object} ctx - Telegraf context
+ * @param {string} text - Prompt
+ */
+function replyPrompt(ctx, text) {
+  if (!isGroupChat(ctx)) {
+    return ctx.reply(text);
+  }
+  
+  return ctx.reply(text, {
+    ...Markup.forceReply().selective(Boolean(ctx.message)),
+    ...(ctx.message ? { reply_parameters: { message_id: ctx.message.message_id } } : {})
+  });
+}
+
+/**
+ * Reply telling a member that only the owner can change a shared location
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} location - Location row
+ */
+function replyOwnerOnly(ctx, location) {
+  return ctx.reply(`"${location.name}" is shared with you by ${formatOwnerName(location)}. Only they can change it.`);
+}
+
+/**
+ * Remove a location for a user: owners delete it, members stop getting its alerts
+ * @param {Object} location - Location row
+ * @param {Object} user - User row
+ * @returns {string} Confirmation message
+ */
+function removeLocationForUser(location, user) {
+  if (location.user_id === user.id) {
+    locationOps.deleteLocation.run(location.id, user.id);
+    return `Location "${location.name}" has been removed.`;
+  }
+  
+  memberOps.removeMember.run(location.id, user.id);
+  return `You'll no longer get alerts for "${location.name}".`;
+}
+
+/**
+ * Subscribe the current user to a shared location from its invite code
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} user - User row
+ * @param {string} code - Invite code
+ */
+async function joinSharedLocation(ctx, user, code) {
+  const location = code ? locationOps.getLocationByInviteCode.get(code) : null;
+  
+  if (!location) {
+    return ctx.reply('This invite is invalid or has been replaced. Ask the owner of the location for a new link.');
+  }
+  
+  if (location.user_id === user.id) {
+    return ctx.reply(`"${location.name}" is already one of your locations.`);
+  }
+  
+  const result = memberOps.addMember.run({ locationId: location.id, userId: user.id, role: MEMBER_ROLES.MEMBER });
+  
+  if (!result.changes) {
+    return ctx.reply(`You're already getting alerts for "${location.name}".`);
+  }
+  
+  // Infer the user's timezone from the first location they join
+  let timezoneNote = '';
+  if (!user.timezone) {
+    const timezone = lookupTimezone(location.latitude, location.longitude);
+    userOps.setUserTimezone.run(timezone, user.id);
+    timezoneNote = `\n🕒 Your timezone has been set to ${timezone}. Use /timezone to change it.`;
+  }
+  
+  // Let the owner know who joined
+  try {
+    await ctx.telegram.sendMessage(
+      location.owner_telegram_id,
+      `👥 ${formatOwnerName({ owner_first_name: user.first_name, owner_username: user.username })} joined "${location.name}" and will get its frost alerts.`
+    );
+  } catch (error) {
+    console.error('Error notifying location owner:', error);
+  }
+  
+  return ctx.reply(
+    `✅ You'll now get frost alerts for "${location.name}", shared by ${formatOwnerName(location)}.\n\n` +
+    'Use /check to see the weather there, or /remove to stop getting its alerts.' + timezoneNote
+  );
+}
+
+/**
+ * Split command arguments on whitespace, keeping quoted strings together
+ * e.g. `add Cabin "Lemon tree" tender` → ['add', 'Cabin', 'Lemon tree', 'tender']
+ * @param {string} text - Argument text after the command
+ * @returns {Array<string>}
+ */
+function splitArgs(text) {
+  const args = [];
+  const pattern = /[“"]([^”"]*)[”"]|(\S+)/g;
+  let match;
+  
+  while ((match = pattern.exec(text)) !== null) {
+    args.push(match[1] !== undefined ? match[1] : match[2]);
+  }
+  
+  return args;
+}
+
+/**
+ * Set up bot commands
+ * @param {Object} bot - Telegraf bot instance
+ */
+function setupCommands(bot) {
+  // In group chats, only administrators may add, edit, share, import or remove the chat's locations
+  bot.command(['add', 'edit', 'share', 'join', 'remove', 'deleteme', 'import'], async (ctx, next) => {
+    if (await requireChatAdmin(ctx)) {
+      return next();
+    }
+  });
+  
+  // Operator commands only exist for ADMIN_IDS, in a private chat with the bot
+  bot.command(ADMIN_COMMANDS, (ctx, next) => {
+    if (!isGroupChat(ctx) && isAdmin(ctx.from.id)) {
+      return next();
+    }
+    
+    return ctx.reply('Unknown command. Use /help to see available commands.');
+  });
+  
+  // Start command
+  bot.start(async (ctx) => {
+    // Upsert the user (or group chat)
+    const user = upsertAccount(ctx);
+    
+    // Invite links open the bot with /start join_<code>
+    if (ctx.payload?.startsWith(JOIN_PREFIX)) {
+      return joinSharedLocation(ctx, user, parseInviteCode(ctx.payload));
+    }
     
     await ctx.reply(
       `🌱 Welcome to SaveMyPlants! 🌱\n\n` +
-      `I'll notify you when temperatures at your saved locations drop below 0°C (freezing).\n\n` +
+      `I'll notify you when temperatures at your saved locations drop below ${formatThreshold(DEFAULT_TEMP_THRESHOLD)}. ` +
+      `You can change this with /threshold.\n\n` +
       `Commands:\n` +
       `/add - Add a new location to monitor\n` +
       `/list - List your saved locations\n` +
       `/check - Check current weather at your locations\n` +
+      `/threshold - Set your alert threshold\n` +
+      `/plants - Manage the plants at your locations\n` +
+      `/share - Share a location with someone else\n` +
       `/remove - Remove a location\n` +
       `/help - Show this help message`
     );
@@ -191,6 +759,14 @@ function setupCommands(bot) {
   
   // Help command
   bot.help((ctx) => {
+    const operatorHelp = !isGroupChat(ctx) && isAdmin(ctx.from.id) ?
+      `\n\nOperator commands:\n` +
+      `/stats - Users, locations, notifications, API calls and cache hit rate\n` +
+      `/broadcast <message> - Send a message to everyone, after a preview\n` +
+      `/user <ID or @username> - Show a user's locations and recent notifications\n` +
+      `/forcecheck - Check the weather at all locations now` :
+      '';
+    
     return ctx.reply(
       `🌱 SaveMyPlants Help 🌱\n\n` +
       `Protect your plants from freezing temperatures!\n\n` +
@@ -198,13 +774,27 @@ function setupCommands(bot) {
       `/add - Add a new location to monitor\n` +
       `/list - List your saved locations\n` +
       `/check - Check current weather at your locations\n` +
-      `/remove - Remove a location\n` +
+      `/edit - Rename or move a location\n` +
+      `/threshold - Set your alert threshold\n` +
+      `/threshold <location> - Override the threshold for one location\n` +
+      `/plants - Manage the plants at your locations\n` +
+      `/provider - Choose the weather provider for a location\n` +
+      `/timezone - Set your timezone for summaries and alert times\n` +
+      `/quiet - Set quiet hours for alerts\n` +
+      `/share <location> - Invite someone to get a location's alerts\n` +
+      `/join <code> - Join a location someone shared with you\n` +
+      `/remove - Remove a location (or leave a shared one)\n` +
+      `/export - Download your data (/export csv for spreadsheets)\n` +
+      `/import - Restore locations and settings from an export\n` +
+      `/deleteme - Delete your account and all your data\n` +
       `/help - Show this help message\n\n` +
       `You'll receive notifications:\n` +
-      `• ~6 hours before freezing temperatures\n` +
-      `• When temperature drops below freezing\n` +
-      `• Morning summary if freezing expected that day\n` +
-      `• All-clear when freezing risk passes`
+      `• ~6 hours before air frost or ground frost (clear, calm nights)\n` +
+      `• When temperature drops below your threshold\n` +
+      `• Morning summary (at ${MORNING_NOTIFICATION_HOUR}:00 your time) if freezing expected that day\n` +
+      `• All-clear when freezing risk passes\n\n` +
+      `In a group chat, locations belong to the group, alerts go to the group and only group administrators can change them.` +
+      operatorHelp
     );
   });
   
@@ -215,7 +805,7 @@ function setupCommands(bot) {
   
   // List locations command
   bot.command('list', async (ctx) => {
-    const telegramId = ctx.from.id.toString();
+    const telegramId = getAccountTelegramId(ctx);
     const user = userOps.getUserByTelegramId.get(telegramId);
     
     if (!user) {
@@ -231,57 +821,225 @@ function setupCommands(bot) {
     let message = '📍 Your saved locations:\n\n';
     
     locations.forEach((location, index) => {
-      message += `${index + 1}. ${location.name} (${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)})\n`;
+      message += `${index + 1}. ${location.name} (${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)})`;
+      
+      if (location.role === MEMBER_ROLES.MEMBER) {
+        message += ` – shared by ${formatOwnerName(location)}`;
+      } else if (location.member_count > 1) {
+        message += ` – 👥 shared with ${location.member_count - 1}`;
+      }
+      
+      message += '\n';
     });
     
-    message += '\nUse /check to see the current weather at these locations.';
+    message += '\nUse the buttons to check, edit or remove a location.';
     
-    return ctx.reply(message);
+    return ctx.reply(message, Markup.inlineKeyboard(locations.map(location => location.role === MEMBER_ROLES.MEMBER ?
+      [
+        Markup.button.callback(`🌡️ ${location.name}`, `loc:check:${location.id}`),
+        Markup.button.callback('🚪 Leave', `loc:remove:${location.id}`)
+      ] :
+      [
+        Markup.button.callback(`🌡️ ${location.name}`, `loc:check:${location.id}`),
+        Markup.button.callback('✏️ Edit', `loc:edit:${location.id}`),
+        Markup.button.callback('🗑️ Remove', `loc:remove:${location.id}`)
+      ]
+    )));
   });
   
-  // Check weather command
-  bot.command('check', async (ctx) => {
-    const telegramId = ctx.from.id.toString();
-    const user = userOps.getUserByTelegramId.get(telegramId);
+  // Location buttons from /list and /edit
+  bot.action(/^loc:(check|edit|remove|confirm-remove):(\d+)$/, async (ctx) => {
+    const user = userOps.getUserByTelegramId.get(getAccountTelegramId(ctx));
+    const location = locationOps.getLocationById.get(parseInt(ctx.match[2]));
     
-    if (!user) {
-      return ctx.reply('You need to add a location first. Use /add to get started.');
+    // Members may check or leave a shared location, only the owner may edit it
+    if (!user || !location || !memberOps.getMembership.get(location.id, user.id)) {
+      return ctx.answerCbQuery('Location not found.');
     }
     
-    const locations = locationOps.getLocationsForUser.all(user.id);
+    const isOwner = location.user_id === user.id;
     
-    if (locations.length === 0) {
-      return ctx.reply('You don\'t have any saved locations yet. Use /add to add a location.');
+    if (ctx.match[1] === 'edit' && !isOwner) {
+      return ctx.answerCbQuery('Only the owner can edit this location.');
     }
     
-    // Show "typing..." indicator
-    await ctx.replyWithChatAction('typing');
-    
-    let message = '🌡️ Current weather at your locations:\n\n';
+    if (ctx.match[1] !== 'check' && !(await requireChatAdmin(ctx))) {
+      return;
+    }
     
-    // Check each location
-    for (const location of locations) {
-      try {
-        const forecast = await getForecast(location.latitude, location.longitude);
-        const analysis = analyzeForecast(forecast);
+    switch (ctx.match[1]) {
+      case 'check':
+        await ctx.answerCbQuery();
+        await ctx.replyWithChatAction('typing');
         
-        message += `📍 ${location.name} (${analysis.locationName})\n`;
-        message += `Current temperature: ${analysis.currentTemp?.toFixed(1)}°C\n`;
-        
-        if (analysis.isBelowFreezing) {
-          message += `❄️ Currently BELOW FREEZING! Protect your plants!\n`;
-        } else if (analysis.willFreezeSoon) {
-          const timeUntilFreezing = analysis.freezingTime ? 
-            `in ${Math.round((analysis.freezingTime.getTime() - new Date().getTime()) / (1000 * 60 * 60))} hours` : 
-            'soon';
-          message += `⚠️ Will drop below freezing ${timeUntilFreezing}!\n`;
-        } else if (analysis.willBeBelowFreezing) {
-          const freezingTime = analysis.freezingTime ? analysis.freezingTime.toLocaleString() : 'soon';
-          message += `⚠️ Will drop below freezing on ${freezingTime}\n`;
-        } else {
-          message += `✅ No freezing temperatures expected in the next 5 days.\n`;
+        try {
+          return ctx.reply(await describeLocationWeather(location, getUserTimezone(user)));
+        } catch (error) {
+          console.error(`Error checking weather for location ${location.name}:`, error);
+          return ctx.reply(`📍 ${location.name}: Error fetching weather data. Please try again later.`);
         }
-        
+      
+      case 'edit':
+        await ctx.answerCbQuery();
+        return ctx.scene.enter('edit_location', { locationId: location.id });
+      
+      case 'remove':
+        await ctx.answerCbQuery();
+        
+        if (!isOwner) {
+          return ctx.reply(`Stop getting alerts for "${location.name}"?`, Markup.inlineKeyboard([
+            Markup.button.callback('🚪 Yes, leave', `loc:confirm-remove:${location.id}`),
+            Markup.button.callback('Cancel', 'loc:cancel')
+          ]));
+        }
+        
+        return ctx.reply(`Remove "${location.name}"? Its plants and settings will be lost.`, Markup.inlineKeyboard([
+          Markup.button.callback('🗑️ Yes, remove it', `loc:confirm-remove:${location.id}`),
+          Markup.button.callback('Cancel', 'loc:cancel')
+        ]));
+      
+      case 'confirm-remove':
+        try {
+          const message = removeLocationForUser(location, user);
+          await ctx.answerCbQuery(isOwner ? 'Removed' : 'Left');
+          return ctx.editMessageText(message);
+        } catch (error) {
+          console.error('Error removing location:', error);
+          await ctx.answerCbQuery();
+          return ctx.editMessageText('Error removing location. Please try again.');
+        }
+    }
+  });
+  
+  bot.action('loc:cancel', async (ctx) => {
+    await ctx.answerCbQuery();
+    return ctx.editMessageText('Cancelled.');
+  });
+  
+  // Response buttons on frost notifications
+  bot.action(/^notif:(protected|snooze|mute):(\d+)$/, async (ctx) => {
+    const notification = notificationOps.getPendingNotificationById.get(parseInt(ctx.match[2]));
+    
+    // Only the user the notification was sent to may respond
+    if (!notification || notification.telegram_id !== getAccountTelegramId(ctx)) {
+      return ctx.answerCbQuery('Notification not found.');
+    }
+    
+    const response = ctx.match[1];
+    const timezone = getUserTimezone(notification);
+    
+    // Anyone can say they've protected the plants, but only group administrators can silence a location
+    if (response !== RESPONSES.PROTECTED && !(await requireChatAdmin(ctx))) {
+      return;
+    }
+    const mutedUntil = getMutedUntil(response, timezone);
+    
+    try {
+      notificationOps.recordResponse.run(response, notification.id);
+      
+      if (mutedUntil) {
+        muteOps.addMute.run({
+          locationId: notification.location_id,
+          userId: notification.recipient_id,
+          notificationId: notification.id,
+          reason: response,
+          mutedUntil: mutedUntil.toISOString()
+        });
+      }
+    } catch (error) {
+      console.error('Error recording notification response:', error);
+      return ctx.answerCbQuery('Error saving your response. Please try again.');
+    }
+    
+    let status;
+    
+    switch (response) {
+      case RESPONSES.PROTECTED:
+        status = `✅ Marked as protected. You won't be warned again about a worsening forecast for ${notification.location_name} during this frost, but you'll still hear when it starts freezing.`;
+        break;
+      
+      case RESPONSES.SNOOZE:
+        status = `💤 ${notification.location_name} snoozed for ${SNOOZE_HOURS} hours, until ${formatDateTime(mutedUntil, timezone)}.`;
+        break;
+      
+      case RESPONSES.MUTE:
+        status = `🔕 ${notification.location_name} muted tonight, until ${formatDateTime(mutedUntil, timezone)}.`;
+        break;
+    }
+    
+    await ctx.answerCbQuery();
+    return ctx.editMessageText(`${ctx.callbackQuery.message.text}\n\n${status}`);
+  });
+  
+  // Edit location command
+  bot.command('edit', async (ctx) => {
+    const telegramId = getAccountTelegramId(ctx);
+    const user = userOps.getUserByTelegramId.get(telegramId);
+    
+    if (!user) {
+      return ctx.reply('You need to add a location first. Use /add to get started.');
+    }
+    
+    const locations = locationOps.getLocationsForUser.all(user.id);
+    
+    if (locations.length === 0) {
+      return ctx.reply('You don\'t have any saved locations yet. Use /add to add a location.');
+    }
+    
+    // A location number or name goes straight to editing it
+    const args = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    
+    if (args) {
+      const index = /^\d+$/.test(args) ? parseInt(args) - 1 : -1;
+      const location = locations[index] || locations.find(l => l.name.toLowerCase() === args.toLowerCase());
+      
+      if (!location) {
+        return ctx.reply(`No location found with name "${args}". Use /edit to pick from your locations.`);
+      }
+      
+      if (location.user_id !== user.id) {
+        return replyOwnerOnly(ctx, location);
+      }
+      
+      return ctx.scene.enter('edit_location', { locationId: location.id });
+    }
+    
+    const owned = locations.filter(location => location.user_id === user.id);
+    
+    if (owned.length === 0) {
+      return ctx.reply('You can only edit locations you added yourself. Use /add to add a location.');
+    }
+    
+    return ctx.reply('Which location do you want to edit?', Markup.inlineKeyboard(
+      owned.map(location => [Markup.button.callback(location.name, `loc:edit:${location.id}`)])
+    ));
+  });
+  
+  // Check weather command
+  bot.command('check', async (ctx) => {
+    const telegramId = getAccountTelegramId(ctx);
+    const user = userOps.getUserByTelegramId.get(telegramId);
+    
+    if (!user) {
+      return ctx.reply('You need to add a location first. Use /add to get started.');
+    }
+    
+    const locations = locationOps.getLocationsForUser.all(user.id);
+    
+    if (locations.length === 0) {
+      return ctx.reply('You don\'t have any saved locations yet. Use /add to add a location.');
+    }
+    
+    // Show "typing..." indicator
+    await ctx.replyWithChatAction('typing');
+    
+    const timezone = getUserTimezone(user);
+    let message = '🌡️ Current weather at your locations:\n\n';
+    
+    // Check each location
+    for (const location of locations) {
+      try {
+        message += await describeLocationWeather(location, timezone);
         message += `\n`;
       } catch (error) {
         console.error(`Error checking weather for location ${location.name}:`, error);
@@ -292,9 +1050,583 @@ function setupCommands(bot) {
     return ctx.reply(message);
   });
   
+  // Threshold command
+  bot.command('threshold', async (ctx) => {
+    const telegramId = getAccountTelegramId(ctx);
+    const user = userOps.getUserByTelegramId.get(telegramId);
+    
+    if (!user) {
+      return ctx.reply('You need to add a location first. Use /add to get started.');
+    }
+    
+    const args = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    
+    // No arguments, show the picker for the user's own threshold
+    if (!args) {
+      return replyWithUserThresholdPicker(ctx, user);
+    }
+    
+    if (!(await requireChatAdmin(ctx))) {
+      return;
+    }
+    
+    // A bare value sets the user's threshold
+    const value = parseThreshold(args);
+    
+    if (value !== null) {
+      userOps.setUserThreshold.run(value, user.id);
+      return ctx.reply(`Your alert threshold is now ${formatThreshold(value)}.`);
+    }
+    
+    const locations = locationOps.getLocationsForUser.all(user.id);
+    const findLocation = (name) => locations.find(l => l.name.toLowerCase() === name.toLowerCase());
+    
+    // A location name shows the picker for that location
+    const location = findLocation(args);
+    
+    if (location) {
+      return location.user_id === user.id ? replyWithLocationThresholdPicker(ctx, location) : replyOwnerOnly(ctx, location);
+    }
+    
+    // A location name followed by a value (or "default") sets the override directly
+    const lastSpace = args.lastIndexOf(' ');
+    
+    if (lastSpace > 0) {
+      const target = findLocation(args.slice(0, lastSpace).trim());
+      const rawValue = args.slice(lastSpace + 1);
+      
+      if (target && target.user_id !== user.id) {
+        return replyOwnerOnly(ctx, target);
+      }
+      
+      if (target && rawValue.toLowerCase() === 'default') {
+        locationOps.setLocationThreshold.run(null, target.id, user.id);
+        return ctx.reply(`"${target.name}" no longer has a threshold override.`);
+      }
+      
+      const targetValue = parseThreshold(rawValue);
+      
+      if (target && targetValue !== null) {
+        locationOps.setLocationThreshold.run(targetValue, target.id, user.id);
+        return ctx.reply(`Alert threshold for "${target.name}" is now ${formatThreshold(targetValue)}.`);
+      }
+    }
+    
+    return ctx.reply(
+      `I couldn't understand "${args}". Thresholds must be between ${MIN_THRESHOLD} and ${MAX_THRESHOLD}°C.\n\n` +
+      'Usage:\n' +
+      '/threshold - Pick your threshold\n' +
+      '/threshold <value> - Set your threshold\n' +
+      '/threshold <location> - Pick a threshold for one location\n' +
+      '/threshold <location> <value|default> - Set or clear a location override'
+    );
+  });
+  
+  // Threshold picker buttons for the user's own threshold
+  bot.action(/^threshold:user:(reset|-?\d+(\.\d+)?)$/, async (ctx) => {
+    const user = userOps.getUserByTelegramId.get(getAccountTelegramId(ctx));
+    
+    if (!user) {
+      return ctx.answerCbQuery('You need to add a location first.');
+    }
+    
+    if (!(await requireChatAdmin(ctx))) {
+      return;
+    }
+    
+    const value = ctx.match[1] === 'reset' ? null : parseThreshold(ctx.match[1]);
+    userOps.setUserThreshold.run(value, user.id);
+    
+    const effective = value === null ? DEFAULT_TEMP_THRESHOLD : value;
+    await ctx.answerCbQuery(`Threshold set to ${formatThreshold(effective)}`);
+    return ctx.editMessageText(`Your alert threshold is now ${formatThreshold(effective)}.`);
+  });
+  
+  // Threshold picker buttons for a single location
+  bot.action(/^threshold:loc:(\d+):(reset|-?\d+(\.\d+)?)$/, async (ctx) => {
+    const user = userOps.getUserByTelegramId.get(getAccountTelegramId(ctx));
+    const location = locationOps.getLocationById.get(parseInt(ctx.match[1]));
+    
+    // Only the owner may change a location's threshold
+    if (!user || !location || location.user_id !== user.id) {
+      return ctx.answerCbQuery('Location not found.');
+    }
+    
+    if (!(await requireChatAdmin(ctx))) {
+      return;
+    }
+    
+    const value = ctx.match[2] === 'reset' ? null : parseThreshold(ctx.match[2]);
+    locationOps.setLocationThreshold.run(value, location.id, user.id);
+    
+    const effective = getEffectiveThreshold({ ...location, temp_threshold: value });
+    await ctx.answerCbQuery(`Threshold set to ${formatThreshold(effective)}`);
+    return ctx.editMessageText(
+      value === null ?
+        `"${location.name}" no longer has a threshold override (now ${formatThreshold(effective)}).` :
+        `Alert threshold for "${location.name}" is now ${formatThreshold(effective)}.`
+    );
+  });
+  
+  // Plants command
+  bot.command('plants', async (ctx) => {
+    const telegramId = getAccountTelegramId(ctx);
+    const user = userOps.getUserByTelegramId.get(telegramId);
+    
+    if (!user) {
+      return ctx.reply('You need to add a location first. Use /add to get started.');
+    }
+    
+    const [subcommand, ...args] = splitArgs(ctx.message.text.split(' ').slice(1).join(' '));
+    const locations = locationOps.getLocationsForUser.all(user.id);
+    const findLocation = (name) => locations.find(l => l.name.toLowerCase() === (name || '').toLowerCase());
+    
+    const usage =
+      'Usage:\n' +
+      '/plants - List plants at all your locations\n' +
+      '/plants <location> - List plants at one location\n' +
+      '/plants add <location> "<plant>" [hardiness] - Add a plant\n' +
+      '/plants remove <location> "<plant>" - Remove a plant\n' +
+      '/plants catalogue - Show the built-in plant catalogue\n\n' +
+      'Hardiness can be tender, half-hardy, frost-hardy, hardy, an RHS rating (H1a–H7) ' +
+      'or a USDA zone (e.g. zone 9b). It can be left out for plants in the catalogue.';
+    
+    // No arguments, list plants at every location
+    if (!subcommand) {
+      if (locations.length === 0) {
+        return ctx.reply('You don\'t have any saved locations yet. Use /add to add a location.');
+      }
+      
+      let message = '🪴 Your plants:\n\n';
+      
+      for (const location of locations) {
+        const plants = plantOps.getPlantsForLocation.all(location.id);
+        
+        message += `📍 ${location.name} (alerts below ${formatThreshold(getEffectiveThreshold(location))})\n`;
+        message += plants.length ?
+          plants.map(plant => `- ${formatPlant(plant)}`).join('\n') + '\n\n' :
+          'No plants yet.\n\n';
+      }
+      
+      message += usage;
+      
+      return ctx.reply(message);
+    }
+    
+    // Show the built-in catalogue
+    if (['catalogue', 'catalog'].includes(subcommand.toLowerCase())) {
+      const sorted = [...PLANT_CATALOGUE].sort((a, b) => a.name.localeCompare(b.name));
+      
+      return ctx.reply(
+        '📚 Built-in plant catalogue (RHS hardiness):\n\n' +
+        sorted.map(plant => `- ${plant.name}: ${plant.hardiness}`).join('\n')
+      );
+    }
+    
+    // Adding and removing plants changes the chat's locations
+    if (['add', 'remove'].includes(subcommand.toLowerCase()) && !(await requireChatAdmin(ctx))) {
+      return;
+    }
+    
+    // Add a plant to a location
+    if (subcommand.toLowerCase() === 'add') {
+      const [locationName, plantName, ...rest] = args;
+      const location = findLocation(locationName);
+      
+      if (!location || !plantName) {
+        return ctx.reply(location ? usage : `No location found with name "${locationName || ''}".\n\n${usage}`);
+      }
+      
+      if (location.user_id !== user.id) {
+        return replyOwnerOnly(ctx, location);
+      }
+      
+      let name = plantName;
+      let rating = null;
+      
+      if (rest.length) {
+        rating = parseHardiness(rest.join(' '));
+        
+        // Allow unquoted multi-word plant names from the catalogue, e.g. Lemon tree
+        if (!rating) {
+          const cataloguePlant = findCataloguePlant([plantName, ...rest].join(' '));
+          
+          if (!cataloguePlant) {
+            return ctx.reply(`I don't recognise the hardiness "${rest.join(' ')}".\n\n${usage}`);
+          }
+          
+          name = cataloguePlant.name;
+          rating = { hardiness: cataloguePlant.hardiness, minTemp: cataloguePlant.minTemp };
+        }
+      } else {
+        const cataloguePlant = findCataloguePlant(plantName);
+        
+        if (!cataloguePlant) {
+          return ctx.reply(
+            `"${plantName}" isn't in the built-in catalogue, so please tell me how hardy it is, e.g.\n` +
+            `/plants add "${location.name}" "${plantName}" tender`
+          );
+        }
+        
+        name = cataloguePlant.name;
+        rating = { hardiness: cataloguePlant.hardiness, minTemp: cataloguePlant.minTemp };
+      }
+      
+      try {
+        plantOps.addPlant.run({
+          locationId: location.id,
+          name,
+          hardiness: rating.hardiness,
+          minTemp: rating.minTemp
+        });
+      } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+          return ctx.reply(`"${name}" is already registered at ${location.name}.`);
+        }
+        
+        console.error('Error adding plant:', error);
+        return ctx.reply('Error adding plant. Please try again.');
+      }
+      
+      const updated = locationOps.getLocationById.get(location.id);
+      
+      return ctx.reply(
+        `🪴 Added ${formatPlant({ name, hardiness: rating.hardiness, min_temp: rating.minTemp })} to ${location.name}.\n` +
+        `Alerts for ${location.name} now trigger below ${formatThreshold(getEffectiveThreshold(updated))}.`
+      );
+    }
+    
+    // Remove a plant from a location
+    if (subcommand.toLowerCase() === 'remove') {
+      const [locationName, ...nameParts] = args;
+      const location = findLocation(locationName);
+      const plantName = nameParts.join(' ');
+      
+      if (!location || !plantName) {
+        return ctx.reply(location ? usage : `No location found with name "${locationName || ''}".\n\n${usage}`);
+      }
+      
+      if (location.user_id !== user.id) {
+        return replyOwnerOnly(ctx, location);
+      }
+      
+      const result = plantOps.deletePlant.run(location.id, plantName);
+      
+      if (!result.changes) {
+        return ctx.reply(`No plant named "${plantName}" at ${location.name}.`);
+      }
+      
+      return ctx.reply(`"${plantName}" has been removed from ${location.name}.`);
+    }
+    
+    // Otherwise treat the arguments as a location name
+    const location = findLocation([subcommand, ...args].join(' '));
+    
+    if (!location) {
+      return ctx.reply(`No location found with name "${[subcommand, ...args].join(' ')}".\n\n${usage}`);
+    }
+    
+    const plants = plantOps.getPlantsForLocation.all(location.id);
+    
+    return ctx.reply(
+      `🪴 Plants at ${location.name} (alerts below ${formatThreshold(getEffectiveThreshold(location))}):\n\n` +
+      (plants.length ? plants.map(plant => `- ${formatPlant(plant)}`).join('\n') : 'No plants yet.')
+    );
+  });
+  
+  // Weather provider command
+  bot.command('provider', async (ctx) => {
+    const telegramId = getAccountTelegramId(ctx);
+    const user = userOps.getUserByTelegramId.get(telegramId);
+    
+    if (!user) {
+      return ctx.reply('You need to add a location first. Use /add to get started.');
+    }
+    
+    const locations = locationOps.getLocationsForUser.all(user.id);
+    
+    if (locations.length === 0) {
+      return ctx.reply('You don\'t have any saved locations yet. Use /add to add a location.');
+    }
+    
+    const args = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    const findLocation = (name) => locations.find(l => l.name.toLowerCase() === name.toLowerCase());
+    const providers = getSelectableProviders();
+    
+    // No arguments, show which provider each location uses
+    if (!args) {
+      let message = `🛰️ Weather providers (default: ${getProvider(DEFAULT_PROVIDER).label}):\n\n`;
+      
+      locations.forEach((location, index) => {
+        const label = getProvider(getLocationProvider(location)).label;
+        message += `${index + 1}. ${location.name}: ${label}${location.weather_provider ? '' : ' (default)'}\n`;
+      });
+      
+      message += `\nAvailable: ${providers.map(p => p.name).join(', ')}\n` +
+        'Use /provider <location> to pick a provider, or /provider <location> <provider|default>.';
+      
+      return ctx.reply(message);
+    }
+    
+    if (!(await requireChatAdmin(ctx))) {
+      return;
+    }
+    
+    // A location name shows the picker for that location
+    const location = findLocation(args);
+    
+    if (location && location.user_id !== user.id) {
+      return replyOwnerOnly(ctx, location);
+    }
+    
+    if (location) {
+      const current = getLocationProvider(location);
+      const buttons = providers.map(provider => [Markup.button.callback(
+        `${provider.name === current ? '✅ ' : ''}${provider.label}`,
+        `provider:${location.id}:${provider.name}`
+      )]);
+      buttons.push([Markup.button.callback(`Use default (${getProvider(DEFAULT_PROVIDER).label})`, `provider:${location.id}:default`)]);
+      
+      return ctx.reply(
+        `🛰️ "${location.name}" uses ${getProvider(current).label}. Pick a weather provider:`,
+        Markup.inlineKeyboard(buttons)
+      );
+    }
+    
+    // A location name followed by a provider name (or "default") sets it directly
+    const lastSpace = args.lastIndexOf(' ');
+    const target = lastSpace > 0 ? findLocation(args.slice(0, lastSpace).trim()) : null;
+    const providerName = args.slice(lastSpace + 1).toLowerCase();
+    
+    if (target && target.user_id !== user.id) {
+      return replyOwnerOnly(ctx, target);
+    }
+    
+    if (target && (providerName === 'default' || providers.some(p => p.name === providerName))) {
+      const value = providerName === 'default' ? null : providerName;
+      locationOps.setLocationProvider.run(value, target.id, user.id);
+      return ctx.reply(`"${target.name}" now uses ${getProvider(value || DEFAULT_PROVIDER).label}.`);
+    }
+    
+    return ctx.reply(
+      `I couldn't understand "${args}".\n\n` +
+      `Available providers: ${providers.map(p => p.name).join(', ')}\n` +
+      'Usage: /provider <location> [provider|default]'
+    );
+  });
+  
+  // Provider picker buttons
+  bot.action(/^provider:(\d+):([a-z-]+)$/, async (ctx) => {
+    const user = userOps.getUserByTelegramId.get(getAccountTelegramId(ctx));
+    const location = locationOps.getLocationById.get(parseInt(ctx.match[1]));
+    const providerName = ctx.match[2];
+    
+    // Only the owner may change a location's provider
+    if (!user || !location || location.user_id !== user.id) {
+      return ctx.answerCbQuery('Location not found.');
+    }
+    
+    if (!(await requireChatAdmin(ctx))) {
+      return;
+    }
+    
+    if (providerName !== 'default' && !getSelectableProviders().some(p => p.name === providerName)) {
+      return ctx.answerCbQuery('Unknown provider.');
+    }
+    
+    const value = providerName === 'default' ? null : providerName;
+    locationOps.setLocationProvider.run(value, location.id, user.id);
+    
+    const label = getProvider(value || DEFAULT_PROVIDER).label;
+    await ctx.answerCbQuery(`Using ${label}`);
+    return ctx.editMessageText(`"${location.name}" now uses ${label}.`);
+  });
+  
+  // Timezone command
+  bot.command('timezone', async (ctx) => {
+    const telegramId = getAccountTelegramId(ctx);
+    const user = userOps.getUserByTelegramId.get(telegramId);
+    
+    if (!user) {
+      return ctx.reply('You need to add a location first. Use /add to get started.');
+    }
+    
+    const args = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    
+    // No arguments, show the current timezone
+    if (!args) {
+      const timezone = getUserTimezone(user);
+      return ctx.reply(
+        `🕒 Your timezone is ${timezone}${user.timezone ? '' : ' (default)'}.\n` +
+        `Local time: ${formatDateTime(new Date(), timezone)}\n\n` +
+        'Use /timezone <name> to change it (e.g. /timezone Europe/London), ' +
+        'or /timezone auto to detect it from your first location.'
+      );
+    }
+    
+    if (!(await requireChatAdmin(ctx))) {
+      return;
+    }
+    
+    let timezone;
+    
+    if (args.toLowerCase() === 'auto') {
+      const [location] = locationOps.getLocationsForUser.all(user.id);
+      
+      if (!location) {
+        return ctx.reply('You don\'t have any saved locations yet. Use /add to add a location.');
+      }
+      
+      timezone = lookupTimezone(location.latitude, location.longitude);
+    } else {
+      timezone = parseTimezone(args);
+      
+      if (!timezone) {
+        return ctx.reply(
+          `"${args}" is not a timezone I recognise.\n` +
+          'Use a name from the IANA timezone database, e.g. Europe/London, America/New_York or UTC.'
+        );
+      }
+    }
+    
+    userOps.setUserTimezone.run(timezone, user.id);
+    return ctx.reply(`🕒 Timezone set to ${timezone}. Local time: ${formatDateTime(new Date(), timezone)}`);
+  });
+  
+  // Quiet hours command
+  bot.command('quiet', async (ctx) => {
+    const telegramId = getAccountTelegramId(ctx);
+    const user = userOps.getUserByTelegramId.get(telegramId);
+    
+    if (!user) {
+      return ctx.reply('You need to add a location first. Use /add to get started.');
+    }
+    
+    const args = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    const urgentLabels = {
+      loud: 'delivered immediately',
+      silent: 'delivered immediately without sound',
+      hold: 'held like other alerts'
+    };
+    
+    // No arguments, show the current settings
+    if (!args) {
+      const urgentMode = user.quiet_urgent || DEFAULT_URGENT_MODE;
+      const window = user.quiet_start ?
+        `🌙 Quiet hours: ${user.quiet_start}-${user.quiet_end} (${getUserTimezone(user)})` :
+        '🌙 Quiet hours are off.';
+      
+      return ctx.reply(
+        `${window}\n` +
+        `Urgent alerts (hard freeze at or below ${formatThreshold(URGENT_FROST_THRESHOLD)}): ${urgentLabels[urgentMode]}.\n\n` +
+        'Usage:\n' +
+        '/quiet 23:00-06:30 - Hold alerts during these hours\n' +
+        '/quiet off - Turn quiet hours off\n' +
+        '/quiet urgent <loud|silent|hold> - Choose how urgent alerts are delivered'
+      );
+    }
+    
+    if (!(await requireChatAdmin(ctx))) {
+      return;
+    }
+    
+    if (args.toLowerCase() === 'off') {
+      userOps.setQuietHours.run(null, null, user.id);
+      return ctx.reply('🔔 Quiet hours are off. Alerts will be delivered immediately.');
+    }
+    
+    const urgentMatch = args.match(/^urgent\s+(\w+)$/i);
+    if (urgentMatch) {
+      const mode = urgentMatch[1].toLowerCase();
+      
+      if (!URGENT_MODES.includes(mode)) {
+        return ctx.reply(`Please choose one of: ${URGENT_MODES.join(', ')}.`);
+      }
+      
+      userOps.setQuietUrgent.run(mode, user.id);
+      return ctx.reply(`Urgent alerts during quiet hours will be ${urgentLabels[mode]}.`);
+    }
+    
+    const quietHours = parseQuietHours(args);
+    
+    if (!quietHours) {
+      return ctx.reply('Please enter quiet hours as start-end in 24h time, e.g. /quiet 23:00-06:30');
+    }
+    
+    userOps.setQuietHours.run(quietHours.start, quietHours.end, user.id);
+    return ctx.reply(
+      `🌙 Quiet hours set to ${quietHours.start}-${quietHours.end} (${getUserTimezone(user)}).\n` +
+      'Alerts during this time will be delivered when quiet hours end, except urgent alerts ' +
+      `(hard freeze at or below ${formatThreshold(URGENT_FROST_THRESHOLD)}), which are ` +
+      `${urgentLabels[user.quiet_urgent || DEFAULT_URGENT_MODE]}.`
+    );
+  });
+  
+  // Share location command
+  bot.command('share', async (ctx) => {
+    const telegramId = getAccountTelegramId(ctx);
+    const user = userOps.getUserByTelegramId.get(telegramId);
+    
+    if (!user) {
+      return ctx.reply('You need to add a location first. Use /add to get started.');
+    }
+    
+    const owned = locationOps.getLocationsForUser.all(user.id).filter(location => location.user_id === user.id);
+    
+    if (owned.length === 0) {
+      return ctx.reply('You don\'t have any locations of your own to share. Use /add to add a location.');
+    }
+    
+    const args = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    const findLocation = (name) => owned.find(l => l.name.toLowerCase() === name.toLowerCase());
+    
+    // "/share <location> reset" replaces the invite so old links stop working
+    const resetMatch = !findLocation(args) && args.match(/^(.+)\s+reset$/i);
+    const location = resetMatch ? findLocation(resetMatch[1].trim()) : findLocation(args);
+    
+    if (!location) {
+      return ctx.reply(
+        (args ? `No location of yours found with name "${args}".\n\n` : '') +
+        'Which location do you want to share?\n\n' +
+        owned.map((l, i) => `${i + 1}. ${l.name}`).join('\n') +
+        '\n\nUse /share <name> to get an invite link, or /share <name> reset to replace it.'
+      );
+    }
+    
+    let code = location.invite_code;
+    
+    if (!code || resetMatch) {
+      code = createInviteCode();
+      locationOps.setInviteCode.run(code, location.id, user.id);
+    }
+    
+    const others = location.member_count - 1;
+    
+    return ctx.reply(
+      `👥 Send this link to share "${location.name}":\n` +
+      `${buildInviteLink(ctx.botInfo.username, code)}\n\n` +
+      `Or they can send me /join ${code}\n\n` +
+      'Anyone who joins gets this location\'s frost alerts, using your threshold, plants and provider settings. ' +
+      'Only you can change or remove it.\n' +
+      (others > 0 ? `Currently shared with ${others} ${others === 1 ? 'person' : 'people'}.\n` : '') +
+      `Use /share ${location.name} reset to replace the link so the old one stops working.`
+    );
+  });
+  
+  // Join a shared location with an invite code
+  bot.command('join', async (ctx) => {
+    const code = parseInviteCode(ctx.message.text.split(' ').slice(1).join(' '));
+    
+    if (!code) {
+      return ctx.reply('Usage: /join <code>\n\nAsk the owner of a location to send you an invite with /share.');
+    }
+    
+    return joinSharedLocation(ctx, upsertAccount(ctx), code);
+  });
+  
   // Remove location command
   bot.command('remove', async (ctx) => {
-    const telegramId = ctx.from.id.toString();
+    const telegramId = getAccountTelegramId(ctx);
     const user = userOps.getUserByTelegramId.get(telegramId);
     
     if (!user) {
@@ -325,8 +1657,7 @@ function setupCommands(bot) {
         const locationToRemove = locations[index];
         
         try {
-          locationOps.deleteLocation.run(locationToRemove.id, user.id);
-          return ctx.reply(`Location "${locationToRemove.name}" has been removed.`);
+          return ctx.reply(removeLocationForUser(locationToRemove, user));
         } catch (error) {
           console.error('Error removing location:', error);
           return ctx.reply('Error removing location. Please try again.');
@@ -344,8 +1675,7 @@ function setupCommands(bot) {
         }
         
         try {
-          locationOps.deleteLocation.run(location.id, user.id);
-          return ctx.reply(`Location "${location.name}" has been removed.`);
+          return ctx.reply(removeLocationForUser(location, user));
         } catch (error) {
           console.error('Error removing location:', error);
           return ctx.reply('Error removing location. Please try again.');
@@ -365,6 +1695,307 @@ function setupCommands(bot) {
     return ctx.reply(message);
   });
   
+  // Delete account command
+  bot.command('deleteme', async (ctx) => {
+    const user = userOps.getUserByTelegramId.get(getAccountTelegramId(ctx));
+    
+    if (!user) {
+      return ctx.reply('I don\'t have any data stored for you.');
+    }
+    
+    const locations = locationOps.getLocationsForUser.all(user.id);
+    const owned = locations.filter(location => location.user_id === user.id);
+    const shared = owned.filter(location => location.member_count > 1);
+    const whose = isGroupChat(ctx) ? 'this group\'s' : 'your';
+    
+    return ctx.reply(
+      `⚠️ This will permanently delete ${whose} account: ${owned.length} location(s) with their plants and settings, ` +
+      'memberships of shared locations, quiet hours and all alert history.' +
+      (shared.length ? `\n\n${shared.map(l => `"${l.name}"`).join(', ')} will also be removed for the people it's shared with.` : '') +
+      '\n\nThis can\'t be undone. Are you sure?',
+      Markup.inlineKeyboard([
+        Markup.button.callback('🗑️ Yes, delete everything', 'deleteme:confirm'),
+        Markup.button.callback('Cancel', 'deleteme:cancel')
+      ])
+    );
+  });
+  
+  bot.action(/^deleteme:(confirm|cancel)$/, async (ctx) => {
+    if (ctx.match[1] === 'cancel') {
+      await ctx.answerCbQuery();
+      return ctx.editMessageText('Cancelled. Nothing has been deleted.');
+    }
+    
+    const user = userOps.getUserByTelegramId.get(getAccountTelegramId(ctx));
+    
+    if (!user) {
+      await ctx.answerCbQuery();
+      return ctx.editMessageText('Your data has already been deleted.');
+    }
+    
+    if (!(await requireChatAdmin(ctx))) {
+      return;
+    }
+    
+    try {
+      userOps.deleteUser.run(user.id);
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      await ctx.answerCbQuery();
+      return ctx.editMessageText('Error deleting your data. Please try again.');
+    }
+    
+    console.log(`Deleted user ${user.id} and all their data`);
+    await ctx.answerCbQuery('Deleted');
+    return ctx.editMessageText('✅ All your data has been deleted. Send /start if you ever want to use the bot again.');
+  });
+  
+  // Export command
+  bot.command('export', async (ctx) => {
+    const user = userOps.getUserByTelegramId.get(getAccountTelegramId(ctx));
+    
+    if (!user) {
+      return ctx.reply('I don\'t have any data stored for you.');
+    }
+    
+    const format = ctx.message.text.split(' ').slice(1).join(' ').trim().toLowerCase();
+    
+    if (format && !['json', 'csv'].includes(format)) {
+      return ctx.reply('Usage: /export for a JSON file you can /import again, or /export csv for spreadsheets.');
+    }
+    
+    const data = buildExport(user);
+    const date = data.exportedAt.slice(0, 10);
+    
+    try {
+      if (format === 'csv') {
+        const csv = buildCsvExport(data);
+        await ctx.replyWithDocument({ source: Buffer.from(csv.locations), filename: `savemyplants-locations-${date}.csv` });
+        return ctx.replyWithDocument(
+          { source: Buffer.from(csv.notifications), filename: `savemyplants-alerts-${date}.csv` },
+          { caption: `📦 ${data.locations.length} location(s) and ${data.notifications.length} alert(s).` }
+        );
+      }
+      
+      return ctx.replyWithDocument(
+        { source: Buffer.from(JSON.stringify(data, null, 2)), filename: `savemyplants-${date}.json` },
+        {
+          caption: `📦 Your data: ${data.locations.length} location(s) and ${data.notifications.length} alert(s).\n` +
+            'Send this file back with /import to restore your locations, plants and settings.'
+        }
+      );
+    } catch (error) {
+      console.error('Error sending export:', error);
+      return ctx.reply('Error exporting your data. Please try again.');
+    }
+  });
+  
+  // Import command
+  bot.command('import', (ctx) => {
+    return replyPrompt(
+      ctx,
+      'Send me a file made with /export and I\'ll add its locations, plants and settings to yours.\n\n' +
+      '• Locations you already have keep their settings, and any missing plants are added\n' +
+      '• A different place with a name you already use is added as e.g. "Garden (2)"\n' +
+      '• Settings are only copied where you haven\'t set your own\n' +
+      '• Locations shared with you and alert history aren\'t imported'
+    );
+  });
+  
+  // Import an uploaded export
+  bot.on(message('document'), async (ctx) => {
+    const { document } = ctx.message;
+    const caption = ctx.message.caption || '';
+    const isReplyToBot = ctx.message.reply_to_message?.from?.id === ctx.botInfo.id;
+    
+    // Groups share all sorts of files, so only ones meant for the bot are imported
+    if (isGroupChat(ctx) && !caption.startsWith('/import') && !isReplyToBot) {
+      return;
+    }
+    
+    if (!document.file_name?.toLowerCase().endsWith('.json')) {
+      return ctx.reply('I can only import the JSON file made with /export.');
+    }
+    
+    if (document.file_size > MAX_IMPORT_SIZE) {
+      return ctx.reply('That file is too large to be an export.');
+    }
+    
+    if (!(await requireChatAdmin(ctx))) {
+      return;
+    }
+    
+    let data;
+    
+    try {
+      const link = await ctx.telegram.getFileLink(document.file_id);
+      const response = await axios.get(link.href, {
+        responseType: 'text',
+        maxContentLength: MAX_IMPORT_SIZE,
+        timeout: 10000
+      });
+      data = parseImport(response.data);
+    } catch (error) {
+      if (error.isAxiosError || error.response) {
+        console.error('Error downloading import:', error.message);
+        return ctx.reply('Error downloading the file. Please try again.');
+      }
+      return ctx.reply(`❌ ${error.message}`);
+    }
+    
+    const user = upsertAccount(ctx);
+    let result;
+    
+    try {
+      result = importData(user, data);
+    } catch (error) {
+      console.error('Error importing data:', error);
+      return ctx.reply('Error importing your data. Nothing has been changed, please try again.');
+    }
+    
+    const lines = [];
+    
+    if (result.added.length) {
+      lines.push(`Added: ${result.added.map(l => l.renamedFrom ? `"${l.name}" (you already have a different "${l.renamedFrom}")` : `"${l.name}"`).join(', ')}`);
+    }
+    
+    if (result.merged.length) {
+      lines.push(`Already saved (missing plants added): ${result.merged.map(l => `"${l.name}"`).join(', ')}`);
+    }
+    
+    if (result.settings.length) {
+      lines.push(`Settings: ${result.settings.join(', ')}`);
+    }
+    
+    if (data.skipped.length) {
+      lines.push(`Skipped: ${data.skipped.map(l => `"${l.name}" (${l.reason})`).join(', ')}`);
+    }
+    
+    console.log(`User ${user.id} imported ${result.added.length} location(s)`);
+    
+    // A file with many invalid plants can list more than fits in one message
+    const summary = lines.length ? `✅ Import complete.\n\n${lines.join('\n')}` : 'The file has nothing to import.';
+    return ctx.reply(summary.length > MAX_MESSAGE_LENGTH ? `${summary.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : summary);
+  });
+  
+  // Operator statistics
+  bot.command('stats', (ctx) => {
+    return ctx.reply(formatStats(getStats()));
+  });
+  
+  // Operator broadcast, sent only after the operator confirms a preview
+  bot.command('broadcast', async (ctx) => {
+    const text = ctx.payload.trim();
+    
+    if (!text) {
+      return ctx.reply('Usage: /broadcast <message>\n\nYou\'ll see a preview and be asked to confirm before anything is sent.');
+    }
+    
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      return ctx.reply(`That message is too long for Telegram (${text.length} of ${MAX_MESSAGE_LENGTH} characters).`);
+    }
+    
+    const recipients = userOps.getActiveUsers.all().length;
+    
+    await ctx.reply(`📣 This message will be sent to ${recipients} chat(s):`);
+    const preview = await ctx.reply(text, Markup.inlineKeyboard([
+      Markup.button.callback('📣 Send to everyone', 'broadcast:confirm'),
+      Markup.button.callback('Cancel', 'broadcast:cancel')
+    ]));
+    
+    // Only the latest preview can be sent
+    ctx.session ??= {};
+    ctx.session.broadcast = { text, messageId: preview.message_id };
+  });
+  
+  bot.action(/^broadcast:(confirm|cancel)$/, async (ctx) => {
+    if (!isAdmin(ctx.from.id)) {
+      return ctx.answerCbQuery();
+    }
+    
+    const broadcast = ctx.session?.broadcast;
+    const isCurrent = broadcast?.messageId === ctx.callbackQuery.message?.message_id;
+    
+    await ctx.editMessageReplyMarkup(undefined);
+    
+    if (!isCurrent) {
+      return ctx.answerCbQuery('This preview has expired. Send /broadcast again.', { show_alert: true });
+    }
+    
+    delete ctx.session.broadcast;
+    
+    if (ctx.match[1] === 'cancel') {
+      await ctx.answerCbQuery();
+      return ctx.reply('Cancelled. Nothing has been sent.');
+    }
+    
+    await ctx.answerCbQuery('Sending');
+    await ctx.reply('📣 Sending the broadcast. I\'ll let you know when it\'s done.');
+    
+    // Rate limits make a large broadcast slow, so it carries on after this update is handled
+    broadcastMessage(bot, broadcast.text)
+      .then(result => ctx.reply(`✅ Broadcast sent to ${result.sent} chat(s)` + (result.failed ? `, ${result.failed} failed.` : '.')))
+      .catch(error => console.error('Error sending broadcast:', error));
+  });
+  
+  // Operator view of a user
+  bot.command('user', (ctx) => {
+    const query = ctx.payload.trim();
+    
+    if (!query) {
+      return ctx.reply('Usage: /user <Telegram ID or @username>');
+    }
+    
+    const user = findUser(query);
+    
+    if (!user) {
+      return ctx.reply(`No user or group found for "${query}".`);
+    }
+    
+    return ctx.reply(formatUserReport(user));
+  });
+  
+  // Run a weather check now rather than waiting for the schedule
+  bot.command('forcecheck', async (ctx) => {
+    await ctx.reply('🔄 Checking the weather at all locations...');
+    
+    checkAllLocationsWeather(bot)
+      .then(result => ctx.reply(result ?
+        `✅ Checked ${result.locations} location(s) with ${result.forecasts} forecast(s).` :
+        'A weather check is already running. Try again once it has finished.'))
+      .catch(error => {
+        console.error('Error in forced weather check:', error);
+        return ctx.reply('Error checking the weather. See the logs for details.');
+      });
+  });
+  
+  // Telegram gives a group a new ID when it becomes a supergroup
+  bot.on(message('migrate_to_chat_id'), (ctx) => {
+    try {
+      userOps.migrateChat.run(ctx.message.migrate_to_chat_id.toString(), ctx.chat.id.toString());
+    } catch (error) {
+      console.error('Error migrating group chat:', error);
+    }
+  });
+  
+  // Telegram reports when the bot is blocked or removed from a group, and when it is back
+  bot.on('my_chat_member', (ctx) => {
+    const { status } = ctx.myChatMember.new_chat_member;
+    const user = userOps.getUserByTelegramId.get(ctx.chat.id.toString());
+    
+    if (!user) {
+      return;
+    }
+    
+    if (['kicked', 'left'].includes(status)) {
+      userOps.deactivateUser.run(user.id);
+      notificationOps.failPendingNotificationsForUser.run(`Bot ${status} from chat`, user.id);
+      console.log(`User ${user.id} removed the bot (${status}); alerts paused`);
+    } else if (['member', 'administrator'].includes(status)) {
+      userOps.reactivateUser.run(user.telegram_id);
+    }
+  });
+  
   // Handle location messages outside of the wizard
   bot.on(message('location'), async (ctx) => {
     await ctx.reply('To add this location, please use the /add command first.');
@@ -0,0 +1,87 @@
+/**
+ * Weather API call budget
+ *
+ * Each provider may be called at most WEATHER_API_CALLS_PER_MINUTE times a minute and
+ * WEATHER_API_CALLS_PER_DAY times a (UTC) day, e.g. to stay within OpenWeatherMap's
+ * free plan. Calls are counted in the database, so restarting the bot doesn't reset
+ * the budget. A limit of 0 turns that limit off.
+ */
+const { db, apiUsageOps } = require('./db');
+require('dotenv').config();
+
+const API_CALLS_PER_MINUTE = parseInt(process.env.WEATHER_API_CALLS_PER_MINUTE || '60');
+const API_CALLS_PER_DAY = parseInt(process.env.WEATHER_API_CALLS_PER_DAY || '1000');
+
+// Budget windows and how to name the current period in each
+const BUDGET_WINDOWS = {
+  minute: { limit: API_CALLS_PER_MINUTE, getPeriod: (now) => now.toISOString().slice(0, 16) }, // 2024-01-31T06:05
+  day: { limit: API_CALLS_PER_DAY, getPeriod: (now) => now.toISOString().slice(0, 10) } // 2024-01-31
+};
+
+/**
+ * Count a call against a provider's budget, if there is room for it
+ * @param {string} provider - Provider name
+ * @param {Date} now
+ * @returns {Object} { allowed, window } where window names the exhausted budget if not allowed
+ */
+const consumeApiCall = db.transaction((provider, now = new Date()) => {
+  for (const [window, { limit, getPeriod }] of Object.entries(BUDGET_WINDOWS)) {
+    const usage = apiUsageOps.getUsage.get(provider, window, getPeriod(now));
+
+    if (limit > 0 && usage && usage.count >= limit) {
+      return { allowed: false, window };
+    }
+  }
+
+  for (const [window, { getPeriod }] of Object.entries(BUDGET_WINDOWS)) {
+    apiUsageOps.recordCall.run({ provider, unit: window, period: getPeriod(now) });
+  }
+
+  return { allowed: true, window: null };
+});
+
+/**
+ * Get how many calls a provider has made in the current minute and day
+ * @param {string} provider - Provider name
+ * @param {Date} now
+ * @returns {Object} { minute, day } with { count, limit } for each
+ */
+function getApiUsage(provider, now = new Date()) {
+  const usage = {};
+
+  for (const [window, { limit, getPeriod }] of Object.entries(BUDGET_WINDOWS)) {
+    usage[window] = {
+      count: apiUsageOps.getUsage.get(provider, window, getPeriod(now))?.count || 0,
+      limit
+    };
+  }
+
+  return usage;
+}
+
+/**
+ * Get how many calls each provider has made today
+ * @param {Date} now
+ * @returns {Array<Object>} { provider, count } for each provider called today
+ */
+function getApiCallsToday(now = new Date()) {
+  return apiUsageOps.getUsageForPeriod.all('day', BUDGET_WINDOWS.day.getPeriod(now));
+}
+
+/**
+ * Delete call counts from before today
+ * @param {Date} now
+ */
+function cleanupApiUsage(now = new Date()) {
+  // Minute periods of today sort after the day itself, so everything older sorts before it
+  apiUsageOps.cleanupUsage.run(BUDGET_WINDOWS.day.getPeriod(now));
+}
+
+module.exports = {
+  API_CALLS_PER_MINUTE,
+  API_CALLS_PER_DAY,
+  consumeApiCall,
+  getApiUsage,
+  getApiCallsToday,
+  cleanupApiUsage
+}; 
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Location clustering for weather checks
+ *
+ * Locations close enough to share a forecast are partitioned into disjoint clusters, so
+ * each cluster needs one forecast (fetched at its centre) and each location is checked
+ * exactly once. Clusters are grown around a seed location within half the distance, so
+ * every member is within the full distance of the cluster's centre, the same distance
+ * the weather cache serves nearby forecasts over.
+ */
+const geolib = require('geolib');
+const { encodeGeohash, getCoveringPrefixes } = require('./geohash');
+
+/**
+ * Find the index of the first entry whose geohash sorts at or after a prefix
+ * @param {Array<Object>} entries - Sorted by geohash
+ * @param {string} prefix
+ * @returns {number}
+ */
+function findFirstWithPrefix(entries, prefix) {
+  let low = 0;
+  let high = entries.length;
+
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (entries[middle].geohash < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Partition locations into clusters that can share a forecast
+ * @param {Array<Object>} locations - Rows with latitude and longitude
+ * @param {number} maxDistance - Largest distance in meters from a cluster's centre to its members
+ * @returns {Array<Object>} { latitude, longitude, locations } for each cluster
+ */
+function clusterLocations(locations, maxDistance) {
+  const radius = maxDistance / 2;
+
+  // Sorted by geohash, the locations in a geohash cell are next to each other
+  const entries = locations
+    .map(location => ({ location, geohash: encodeGeohash(location.latitude, location.longitude) }))
+    .sort((a, b) => (a.geohash < b.geohash ? -1 : a.geohash > b.geohash ? 1 : 0));
+  const assigned = new Set();
+  const clusters = [];
+
+  for (const seed of entries) {
+    if (assigned.has(seed)) continue;
+
+    // Only locations in the geohash cells around the seed can be near enough
+    const members = [];
+    for (const prefix of getCoveringPrefixes(seed.location.latitude, seed.location.longitude, radius)) {
+      for (let i = findFirstWithPrefix(entries, prefix); i < entries.length && entries[i].geohash.startsWith(prefix); i++) {
+        const entry = entries[i];
+        if (!assigned.has(entry) && geolib.getDistance(seed.location, entry.location) <= radius) {
+          assigned.add(entry);
+          members.push(entry.location);
+        }
+      }
+    }
+
+    const center = members.length > 1 ?
+      geolib.getCenter(members.map(({ latitude, longitude }) => ({ latitude, longitude }))) :
+      seed.location;
+
+    clusters.push({
+      latitude: center.latitude,
+      longitude: center.longitude,
+      locations: members
+    });
+  }
+
+  return clusters;
+}
+
+module.exports = {
+  clusterLocations
+}; 
\ No newline at end of file
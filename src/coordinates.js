@@ -0,0 +1,351 @@
+/**
+ * Parse positions typed or pasted by users
+ * Recognises decimal degrees, degrees/minutes/seconds, map share links
+ * (Google Maps, OpenStreetMap, Apple Maps), geo: URIs and Open Location Codes
+ * (Plus Codes), and normalises them to decimal degrees.
+ */
+
+// Open Location Code alphabet, in digit order
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+
+// Degrees covered by each pair of digits in a Plus Code
+const PLUS_CODE_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+
+// Digits before the "+" in a full Plus Code
+const PLUS_CODE_SEPARATOR_POSITION = 8;
+
+// One coordinate in degrees/minutes/seconds or decimal degrees, e.g. 51°30'26", 30.43', 0.1275
+const DMS_VALUE = String.raw`([+-]?\d+(?:\.\d+)?)\s*(?:[°º]|deg)?\s*` +
+  String.raw`(?:(\d+(?:\.\d+)?)\s*['′’]\s*(?:(\d+(?:\.\d+)?)\s*(?:["″”]|'')\s*)?)?`;
+
+// Two coordinates with optional hemispheres after (51°30'26"N 0°7'39"W) or before (N 51°30.43' W 0°7.65')
+const DMS_PATTERNS = [
+  new RegExp(String.raw`^${DMS_VALUE}([NSEW])?\s*[,;/]?\s*${DMS_VALUE}([NSEW])?$`, 'i'),
+  new RegExp(String.raw`^([NSEW])\s*${DMS_VALUE}[,;/]?\s*([NSEW])\s*${DMS_VALUE}$`, 'i')
+];
+
+// Plain "lat,lon" or "lat lon" in decimal degrees
+const DECIMAL_PATTERN = /^([+-]?\d+(?:\.\d+)?)\s*[,;\s]\s*([+-]?\d+(?:\.\d+)?)$/;
+
+// Coordinates embedded in map links, most precise first
+const LINK_PATTERNS = [
+  // Google Maps place pin
+  /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/,
+  // OpenStreetMap marker
+  /[?&]mlat=(-?\d+(?:\.\d+)?)&mlon=(-?\d+(?:\.\d+)?)/,
+  // Query parameters used by Google and Apple Maps
+  /[?&](?:q|query|ll|sll|center|coordinate|daddr|destination)=(-?\d+(?:\.\d+)?)(?:,|%2C)\s*(?:\+|%20)?(-?\d+(?:\.\d+)?)/i,
+  // Google Maps viewport
+  /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/,
+  // OpenStreetMap viewport
+  /#map=\d+(?:\.\d+)?\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)/
+];
+
+/**
+ * Check that a pair of coordinates is on the globe
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {boolean}
+ */
+function isValidPosition(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+}
+
+/**
+ * Build a position result, or null if it is off the globe
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} format - Description of the recognised input format
+ * @returns {Object|null} { latitude, longitude, format }
+ */
+function position(latitude, longitude, format) {
+  return isValidPosition(latitude, longitude) ? { latitude, longitude, format } : null;
+}
+
+/**
+ * Convert one degrees/minutes/seconds component to decimal degrees
+ * @param {string} degrees
+ * @param {string} minutes
+ * @param {string} seconds
+ * @param {string} hemisphere - N, S, E, W or empty
+ * @returns {Object|null} { value, hemisphere }
+ */
+function parseDmsComponent(degrees, minutes, seconds, hemisphere = '') {
+  const minuteValue = minutes ? parseFloat(minutes) : 0;
+  const secondValue = seconds ? parseFloat(seconds) : 0;
+
+  // Minutes and seconds only make sense after whole degrees
+  if ((minutes && degrees.includes('.')) || minuteValue >= 60 || secondValue >= 60) return null;
+
+  let value = Math.abs(parseFloat(degrees)) + minuteValue / 60 + secondValue / 3600;
+  if (degrees.startsWith('-') || /[SW]/i.test(hemisphere)) {
+    value = -value;
+  }
+
+  return { value, hemisphere: hemisphere.toUpperCase() };
+}
+
+/**
+ * Parse degrees/minutes/seconds or decimal degrees with hemispheres
+ * @param {string} text
+ * @returns {Object|null} Position
+ */
+function parseDms(text) {
+  let components = null;
+
+  const trailing = text.match(DMS_PATTERNS[0]);
+  const leading = text.match(DMS_PATTERNS[1]);
+
+  if (trailing) {
+    components = [
+      parseDmsComponent(trailing[1], trailing[2], trailing[3], trailing[4]),
+      parseDmsComponent(trailing[5], trailing[6], trailing[7], trailing[8])
+    ];
+  } else if (leading) {
+    components = [
+      parseDmsComponent(leading[2], leading[3], leading[4], leading[1]),
+      parseDmsComponent(leading[6], leading[7], leading[8], leading[5])
+    ];
+  }
+
+  if (!components || !components[0] || !components[1]) return null;
+
+  // Latitude first unless the hemispheres say otherwise (e.g. 0°7'W 51°30'N)
+  const isLongitude = hemisphere => hemisphere === 'E' || hemisphere === 'W';
+  const isLatitude = hemisphere => hemisphere === 'N' || hemisphere === 'S';
+  let [latitude, longitude] = components;
+
+  if (isLongitude(latitude.hemisphere) || isLatitude(longitude.hemisphere)) {
+    [latitude, longitude] = [longitude, latitude];
+  }
+
+  if (isLongitude(latitude.hemisphere) || isLatitude(longitude.hemisphere)) return null;
+
+  const format = /['′’]/.test(text) ? 'degrees, minutes and seconds' : 'decimal degrees';
+  return position(latitude.value, longitude.value, format);
+}
+
+/**
+ * Parse a geo: URI (RFC 5870), including Android's geo:0,0?q=lat,lon form
+ * @param {string} text
+ * @returns {Object|null} Position
+ */
+function parseGeoUri(text) {
+  const match = text.match(/^geo:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)(?:,-?\d+(?:\.\d+)?)?([;?].*)?$/i);
+  if (!match) return null;
+
+  let latitude = parseFloat(match[1]);
+  let longitude = parseFloat(match[2]);
+
+  const query = (match[3] || '').match(/[?&]q=(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)/);
+  if (latitude === 0 && longitude === 0 && query) {
+    latitude = parseFloat(query[1]);
+    longitude = parseFloat(query[2]);
+  }
+
+  return position(latitude, longitude, 'geo: URI');
+}
+
+/**
+ * Extract coordinates from a map share link
+ * @param {string} text
+ * @returns {Object|null} Position
+ */
+function parseMapLink(text) {
+  if (!/^https?:\/\//i.test(text)) return null;
+
+  let format = 'map link';
+  if (/google\.|goo\.gl/i.test(text)) {
+    format = 'Google Maps link';
+  } else if (/openstreetmap\.org|osm\.org/i.test(text)) {
+    format = 'OpenStreetMap link';
+  } else if (/maps\.apple\.com/i.test(text)) {
+    format = 'Apple Maps link';
+  }
+
+  for (const pattern of LINK_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      return position(parseFloat(match[1]), parseFloat(match[2]), format);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode a full Plus Code to the centre of its area
+ * @param {string} code - e.g. "9C3XGV4C+XV"
+ * @returns {Object|null} { latitude, longitude }
+ */
+function decodePlusCode(code) {
+  const digits = code.toUpperCase().replace('+', '').replace(/0+$/, '');
+  let latitude = -90;
+  let longitude = -180;
+  let latitudeResolution = 0;
+  let longitudeResolution = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    const value = PLUS_CODE_ALPHABET.indexOf(digits[i]);
+    if (value < 0) return null;
+
+    if (i < PLUS_CODE_PAIR_RESOLUTIONS.length * 2) {
+      // Pairs of digits: latitude then longitude, each in base 20
+      const resolution = PLUS_CODE_PAIR_RESOLUTIONS[Math.floor(i / 2)];
+      if (i % 2 === 0) {
+        latitude += value * resolution;
+        latitudeResolution = resolution;
+      } else {
+        longitude += value * resolution;
+        longitudeResolution = resolution;
+      }
+    } else {
+      // Grid refinement: 4 columns by 5 rows per digit
+      latitudeResolution /= 5;
+      longitudeResolution /= 4;
+      latitude += Math.floor(value / 4) * latitudeResolution;
+      longitude += (value % 4) * longitudeResolution;
+    }
+  }
+
+  return {
+    latitude: Math.min(90, latitude + latitudeResolution / 2),
+    longitude: longitude + longitudeResolution / 2
+  };
+}
+
+/**
+ * Encode a position as the leading digits of a Plus Code
+ * Only used to borrow the prefix of a reference point when recovering short codes
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string} Ten digits, without the "+"
+ */
+function encodePlusCodePrefix(latitude, longitude) {
+  let lat = Math.min(Math.max(latitude + 90, 0), 180 - 1e-10);
+  let lng = ((longitude + 180) % 360 + 360) % 360;
+  let digits = '';
+
+  for (const resolution of PLUS_CODE_PAIR_RESOLUTIONS) {
+    const latDigit = Math.floor(lat / resolution);
+    const lngDigit = Math.floor(lng / resolution);
+    digits += PLUS_CODE_ALPHABET[latDigit] + PLUS_CODE_ALPHABET[lngDigit];
+    lat -= latDigit * resolution;
+    lng -= lngDigit * resolution;
+  }
+
+  return digits;
+}
+
+/**
+ * Parse a full Plus Code, e.g. "9C3XGV4C+XV"
+ * @param {string} text
+ * @returns {Object|null} Position
+ */
+function parsePlusCode(text) {
+  const match = text.match(/^([23456789CFGHJMPQRVWX]{2,8}0*)\+([23456789CFGHJMPQRVWX]*)$/i);
+  if (!match || match[1].length !== PLUS_CODE_SEPARATOR_POSITION) return null;
+
+  // Padded codes ("9C3X0000+") cannot have digits after the "+"
+  const padded = match[1].includes('0');
+  if (padded && match[2]) return null;
+  if (!padded && match[2].length === 1) return null;
+
+  const decoded = decodePlusCode(text);
+  return decoded && position(decoded.latitude, decoded.longitude, 'Plus Code');
+}
+
+/**
+ * Split a short Plus Code from the town it is relative to, e.g. "GV4C+XV London"
+ * @param {string} text
+ * @returns {Object|null} { code, locality }
+ */
+function parseShortPlusCode(text) {
+  const match = String(text || '').trim()
+    .match(/^([23456789CFGHJMPQRVWX]{4,6}\+[23456789CFGHJMPQRVWX]{2,})[,\s]+(.+)$/i);
+
+  if (!match || match[1].indexOf('+') % 2 !== 0) return null;
+
+  return { code: match[1].toUpperCase(), locality: match[2].trim() };
+}
+
+/**
+ * Recover the position of a short Plus Code using a nearby reference point
+ * Follows the Open Location Code "recover nearest" algorithm
+ * @param {string} code - Short code, e.g. "GV4C+XV"
+ * @param {number} latitude - Reference latitude (e.g. the centre of the named town)
+ * @param {number} longitude - Reference longitude
+ * @returns {Object|null} Position
+ */
+function recoverPlusCode(code, latitude, longitude) {
+  const missing = PLUS_CODE_SEPARATOR_POSITION - code.indexOf('+');
+  const resolution = Math.pow(20, 2 - missing / 2);
+  const prefix = encodePlusCodePrefix(latitude, longitude).slice(0, missing);
+  const decoded = decodePlusCode(prefix + code);
+  if (!decoded) return null;
+
+  // The prefix may put the code in the neighbouring cell; pick the one nearest the reference
+  if (latitude + resolution / 2 < decoded.latitude && decoded.latitude - resolution >= -90) {
+    decoded.latitude -= resolution;
+  } else if (latitude - resolution / 2 > decoded.latitude && decoded.latitude + resolution <= 90) {
+    decoded.latitude += resolution;
+  }
+
+  if (longitude + resolution / 2 < decoded.longitude) {
+    decoded.longitude -= resolution;
+  } else if (longitude - resolution / 2 > decoded.longitude) {
+    decoded.longitude += resolution;
+  }
+
+  return position(decoded.latitude, decoded.longitude, 'Plus Code');
+}
+
+/**
+ * Parse a position in any supported format
+ * @param {string} text
+ * @returns {Object|null} { latitude, longitude, format } in decimal degrees, or null if not recognised
+ */
+function parsePosition(text) {
+  const value = String(text || '').trim();
+  if (!value) return null;
+
+  const decimal = value.match(DECIMAL_PATTERN);
+  if (decimal) {
+    return position(parseFloat(decimal[1]), parseFloat(decimal[2]), 'decimal degrees');
+  }
+
+  return parseGeoUri(value) ||
+    parseMapLink(value) ||
+    parsePlusCode(value) ||
+    parseDms(value);
+}
+
+/**
+ * Check whether text looks like a link or URI, so it isn't mistaken for a place name
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isLink(text) {
+  return /^(https?:\/\/|geo:)/i.test(String(text || '').trim());
+}
+
+/**
+ * Format a position for display, e.g. "51.50722°N, 0.12750°W"
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string}
+ */
+function formatPosition(latitude, longitude) {
+  return `${Math.abs(latitude).toFixed(5)}°${latitude < 0 ? 'S' : 'N'}, ` +
+    `${Math.abs(longitude).toFixed(5)}°${longitude < 0 ? 'W' : 'E'}`;
+}
+
+module.exports = {
+  isValidPosition,
+  parsePosition,
+  parseShortPlusCode,
+  recoverPlusCode,
+  isLink,
+  formatPosition
+}; 
\ No newline at end of file
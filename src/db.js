@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const { migrate, getCurrentVersion } = require('./migrate');
 require('dotenv').config();
 
 // Ensure data directory exists
@@ -25,79 +26,24 @@ try {
   process.exit(1); // Exit if we can't connect to the database
 }
 
-// Create tables if they don't exist
-function initializeDatabase() {
+// Bring the schema up to date before preparing statements
+try {
   console.log(`Initializing database at ${process.env.DB_PATH}`);
-  
-  // Users table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY,
-      telegram_id TEXT UNIQUE NOT NULL,
-      username TEXT,
-      first_name TEXT,
-      last_name TEXT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-  console.log('Users table initialized');
-
-  // Locations table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS locations (
-      id INTEGER PRIMARY KEY,
-      user_id INTEGER NOT NULL,
-      name TEXT NOT NULL,
-      latitude REAL NOT NULL,
-      longitude REAL NOT NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id),
-      UNIQUE(user_id, name)
-    )
-  `);
-  console.log('Locations table initialized');
-
-  // Notifications table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS notifications (
-      id INTEGER PRIMARY KEY,
-      location_id INTEGER NOT NULL,
-      notification_type TEXT NOT NULL,
-      scheduled_for TIMESTAMP NOT NULL,
-      temperature REAL,
-      forecast_time TIMESTAMP,
-      sent BOOLEAN DEFAULT 0,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (location_id) REFERENCES locations(id)
-    )
-  `);
-  console.log('Notifications table initialized');
-
-  // Weather cache table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS weather_cache (
-      id INTEGER PRIMARY KEY,
-      latitude REAL NOT NULL,
-      longitude REAL NOT NULL,
-      data TEXT NOT NULL,
-      expires_at TIMESTAMP NOT NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(latitude, longitude)
-    )
-  `);
-  console.log('Weather cache table initialized');
+  migrate(db);
+  console.log(`Database schema is at version ${getCurrentVersion(db)}`);
+} catch (error) {
+  console.error('Error migrating database:', error);
+  process.exit(1); // Exit rather than run against a schema the statements don't match
 }
 
-// Initialize the database before preparing statements
-initializeDatabase();
-
 // User operations
 const userOps = {
   // Add or update a user
   upsertUser: db.prepare(`
-    INSERT INTO users (telegram_id, username, first_name, last_name)
-    VALUES (@telegramId, @username, @firstName, @lastName)
+    INSERT INTO users (telegram_id, chat_type, username, first_name, last_name)
+    VALUES (@telegramId, @chatType, @username, @firstName, @lastName)
     ON CONFLICT(telegram_id) DO UPDATE SET
+    chat_type = excluded.chat_type,
     username = excluded.username,
     first_name = excluded.first_name,
     last_name = excluded.last_name
@@ -108,9 +54,72 @@ const userOps = {
     SELECT * FROM users WHERE telegram_id = ?
   `),
 
+  // Get user by ID
+  getUserById: db.prepare(`
+    SELECT * FROM users WHERE id = ?
+  `),
+
+  // Get a page of users, with how many locations each gets alerts for
+  listUsers: db.prepare(`
+    SELECT u.*, (SELECT COUNT(*) FROM location_members m WHERE m.user_id = u.id) as location_count
+    FROM users u
+    ORDER BY u.id
+    LIMIT @limit OFFSET @offset
+  `),
+
   // Get all users
   getAllUsers: db.prepare(`
     SELECT * FROM users
+  `),
+
+  // Get the users (and group chats) the bot can still reach
+  getActiveUsers: db.prepare(`
+    SELECT * FROM users WHERE inactive_since IS NULL ORDER BY id
+  `),
+
+  // Get a user or group chat by its Telegram username
+  getUserByUsername: db.prepare(`
+    SELECT * FROM users WHERE username = ? COLLATE NOCASE
+  `),
+
+  // Delete a user and, through cascading foreign keys, everything that belongs to them
+  deleteUser: db.prepare(`
+    DELETE FROM users WHERE id = ?
+  `),
+
+  // Mark a user who can't be reached (e.g. they blocked the bot), pausing their alerts
+  deactivateUser: db.prepare(`
+    UPDATE users SET inactive_since = CURRENT_TIMESTAMP WHERE id = ? AND inactive_since IS NULL
+  `),
+
+  // Resume alerts for an inactive user who is using the bot again
+  reactivateUser: db.prepare(`
+    UPDATE users SET inactive_since = NULL WHERE telegram_id = ? AND inactive_since IS NOT NULL
+  `),
+
+  // Follow a group chat to its new ID when Telegram upgrades it to a supergroup
+  migrateChat: db.prepare(`
+    UPDATE users SET telegram_id = ?, chat_type = 'supergroup' WHERE telegram_id = ?
+  `),
+
+  // Set (or clear with NULL) a user's alert threshold
+  setUserThreshold: db.prepare(`
+    UPDATE users SET temp_threshold = ? WHERE id = ?
+  `),
+
+  // Set a user's timezone
+  setUserTimezone: db.prepare(`
+    UPDATE users SET timezone = ? WHERE id = ?
+  `),
+
+  // Set (or clear with NULLs) a user's quiet hours
+  setQuietHours: db.prepare(`
+    UPDATE users SET quiet_start = ?, quiet_end = ? WHERE id = ?
+  `),
+
+  // Set how urgent notifications are delivered during quiet hours
+  setQuietUrgent: db.prepare(`
+    UPDATE users SET quiet_urgent = ? WHERE id = ?
   `)
 };
 
@@ -122,93 +131,463 @@ const locationOps = {
     VALUES (@userId, @name, @latitude, @longitude)
   `),
 
-  // Delete a location
+  // Delete a location along with its members, plants, episodes and notification history
   deleteLocation: db.prepare(`
     DELETE FROM locations WHERE id = ? AND user_id = ?
   `),
 
-  // Get locations for a user
+  // Rename a location
+  renameLocation: db.prepare(`
+    UPDATE locations SET name = ? WHERE id = ? AND user_id = ?
+  `),
+
+  // Move a location to new coordinates
+  moveLocation: db.prepare(`
+    UPDATE locations SET latitude = ?, longitude = ? WHERE id = ? AND user_id = ?
+  `),
+
+  // Get locations a user owns or has joined (thresholds come from the owner)
   getLocationsForUser: db.prepare(`
-    SELECT * FROM locations WHERE user_id = ?
+    SELECT l.*, m.role, u.temp_threshold as user_temp_threshold, u.timezone as user_timezone,
+      u.first_name as owner_first_name, u.username as owner_username,
+      (SELECT COUNT(*) FROM location_members lm WHERE lm.location_id = l.id) as member_count,
+      (SELECT MAX(p.min_temp) FROM plants p WHERE p.location_id = l.id) as plant_threshold
+    FROM location_members m
+    JOIN locations l ON m.location_id = l.id
+    JOIN users u ON l.user_id = u.id
+    WHERE m.user_id = ?
+    ORDER BY m.id
+  `),
+
+  // Get the location an invite code belongs to
+  getLocationByInviteCode: db.prepare(`
+    SELECT l.*, u.telegram_id as owner_telegram_id, u.first_name as owner_first_name,
+      u.username as owner_username
+    FROM locations l
+    JOIN users u ON l.user_id = u.id
+    WHERE l.invite_code = ?
+  `),
+
+  // Set (or clear with NULL) a location's invite code
+  setInviteCode: db.prepare(`
+    UPDATE locations SET invite_code = ? WHERE id = ? AND user_id = ?
   `),
 
   // Get location by ID
   getLocationById: db.prepare(`
-    SELECT * FROM locations WHERE id = ?
+    SELECT l.*, u.temp_threshold as user_temp_threshold, u.timezone as user_timezone,
+      (SELECT MAX(p.min_temp) FROM plants p WHERE p.location_id = l.id) as plant_threshold
+    FROM locations l
+    JOIN users u ON l.user_id = u.id
+    WHERE l.id = ?
   `),
 
-  // Get all locations
+  // Get all locations that someone still gets alerts for
   getAllLocations: db.prepare(`
-    SELECT * FROM locations
+    SELECT l.*, u.temp_threshold as user_temp_threshold, u.timezone as user_timezone,
+      (SELECT MAX(p.min_temp) FROM plants p WHERE p.location_id = l.id) as plant_threshold
+    FROM locations l
+    JOIN users u ON l.user_id = u.id
+    WHERE EXISTS (
+      SELECT 1 FROM location_members m
+      JOIN users mu ON m.user_id = mu.id
+      WHERE m.location_id = l.id AND mu.inactive_since IS NULL
+    )
+  `),
+
+  // Get a page of all locations, with their owner
+  listLocations: db.prepare(`
+    SELECT l.*, u.telegram_id as owner_telegram_id, u.temp_threshold as user_temp_threshold,
+      u.timezone as user_timezone,
+      (SELECT COUNT(*) FROM location_members lm WHERE lm.location_id = l.id) as member_count,
+      (SELECT MAX(p.min_temp) FROM plants p WHERE p.location_id = l.id) as plant_threshold
+    FROM locations l
+    JOIN users u ON l.user_id = u.id
+    ORDER BY l.id
+    LIMIT @limit OFFSET @offset
+  `),
+
+  // Set (or clear with NULL) a location's threshold override
+  setLocationThreshold: db.prepare(`
+    UPDATE locations SET temp_threshold = ? WHERE id = ? AND user_id = ?
+  `),
+
+  // Set (or clear with NULL) a location's weather provider
+  setLocationProvider: db.prepare(`
+    UPDATE locations SET weather_provider = ? WHERE id = ? AND user_id = ?
   `)
 };
 
+// Plant operations
+const plantOps = {
+  // Add a plant to a location
+  addPlant: db.prepare(`
+    INSERT INTO plants (location_id, name, hardiness, min_temp)
+    VALUES (@locationId, @name, @hardiness, @minTemp)
+  `),
+
+  // Add a plant unless the location already has one with that name
+  addPlantIfMissing: db.prepare(`
+    INSERT INTO plants (location_id, name, hardiness, min_temp)
+    VALUES (@locationId, @name, @hardiness, @minTemp)
+    ON CONFLICT(location_id, name) DO NOTHING
+  `),
+
+  // Delete a plant by name from a location
+  deletePlant: db.prepare(`
+    DELETE FROM plants WHERE location_id = ? AND name = ?
+  `),
+
+  // Get plants for a location, most tender first
+  getPlantsForLocation: db.prepare(`
+    SELECT * FROM plants WHERE location_id = ? ORDER BY min_temp DESC, name
+  `)
+};
+
+// Filters for listing notifications; a NULL parameter matches everything
+const NOTIFICATION_FILTERS = `
+  (@type IS NULL OR n.notification_type = @type)
+  AND (@sent IS NULL OR n.sent = @sent)
+  AND (@from IS NULL OR datetime(n.created_at) >= datetime(@from))
+  AND (@to IS NULL OR datetime(n.created_at) < datetime(@to))
+  AND (@locationId IS NULL OR n.location_id = @locationId)
+  AND (@userId IS NULL OR COALESCE(n.user_id, l.user_id) = @userId)
+`;
+
 // Notification operations
 const notificationOps = {
   // Add a notification
   addNotification: db.prepare(`
     INSERT INTO notifications 
-    (location_id, notification_type, scheduled_for, temperature, forecast_time)
-    VALUES (@locationId, @notificationType, @scheduledFor, @temperature, @forecastTime)
+    (location_id, user_id, notification_type, scheduled_for, temperature, forecast_time, forecast_low,
+      low_time, hours_below, risk_level, episode_id, additional_data)
+    VALUES (@locationId, @userId, @notificationType, @scheduledFor, @temperature, @forecastTime, @forecastLow,
+      @lowTime, @hoursBelow, @riskLevel, @episodeId, @additionalData)
   `),
 
   // Mark a notification as sent
   markNotificationAsSent: db.prepare(`
-    UPDATE notifications SET sent = 1 WHERE id = ?
+    UPDATE notifications SET sent = 1, attempts = attempts + 1, next_attempt_at = NULL WHERE id = ?
+  `),
+
+  // Claim a due notification for sending until the lease runs out, so no one else sends it meanwhile
+  claimNotification: db.prepare(`
+    UPDATE notifications SET next_attempt_at = ?
+    WHERE id = ? AND sent = 0 AND failed_at IS NULL
+      AND (next_attempt_at IS NULL OR datetime(next_attempt_at) <= datetime('now'))
+  `),
+
+  // Record a failed delivery attempt and when to try again
+  recordSendFailure: db.prepare(`
+    UPDATE notifications SET attempts = attempts + 1, last_error = ?, next_attempt_at = ? WHERE id = ?
+  `),
+
+  // Give up on delivering a notification
+  markNotificationAsFailed: db.prepare(`
+    UPDATE notifications SET attempts = attempts + 1, last_error = ?, failed_at = CURRENT_TIMESTAMP WHERE id = ?
+  `),
+
+  // Give up on every undelivered notification for a recipient who can't be reached
+  failPendingNotificationsForUser: db.prepare(`
+    UPDATE notifications SET last_error = ?, failed_at = CURRENT_TIMESTAMP
+    WHERE sent = 0 AND failed_at IS NULL
+      AND COALESCE(user_id, (SELECT l.user_id FROM locations l WHERE l.id = notifications.location_id)) = ?
+  `),
+
+  // Put off a notification without counting an attempt (e.g. while Telegram rate limits the bot)
+  deferNotification: db.prepare(`
+    UPDATE notifications SET next_attempt_at = ? WHERE id = ?
+  `),
+
+  // Record the user's response to a notification's buttons
+  recordResponse: db.prepare(`
+    UPDATE notifications SET response = ?, responded_at = CURRENT_TIMESTAMP WHERE id = ?
   `),
 
-  // Get pending notifications
+  // Check whether the user has marked their plants protected during a frost episode
+  getProtectedResponseForEpisode: db.prepare(`
+    SELECT id FROM notifications WHERE episode_id = ? AND response = 'protected' LIMIT 1
+  `),
+
+  // Put a notification back in the outbox to be sent again from a given time
+  requeueNotification: db.prepare(`
+    UPDATE notifications
+    SET sent = 0, held = 0, attempts = 0, last_error = NULL, next_attempt_at = NULL, failed_at = NULL, scheduled_for = ?
+    WHERE id = ?
+  `),
+
+  // Hold a notification until the end of quiet hours
+  rescheduleNotification: db.prepare(`
+    UPDATE notifications SET scheduled_for = ?, held = 1 WHERE id = ?
+  `),
+
+  // Give up on notifications that have been due for over a day without being delivered
+  expireStaleNotifications: db.prepare(`
+    UPDATE notifications SET last_error = ?, failed_at = CURRENT_TIMESTAMP
+    WHERE sent = 0 AND failed_at IS NULL AND datetime(scheduled_for) < datetime('now', '-1 day')
+  `),
+
+  // Get pending notifications that are due (anything due for over a day is stale and expired)
+  // Thresholds come from the location's owner, delivery settings from the recipient
   getPendingNotifications: db.prepare(`
-    SELECT n.*, l.name as location_name, l.latitude, l.longitude, u.telegram_id
+    SELECT n.*, l.name as location_name, l.latitude, l.longitude, u.id as recipient_id, u.telegram_id,
+      l.temp_threshold, o.temp_threshold as user_temp_threshold, u.timezone as user_timezone,
+      u.quiet_start, u.quiet_end, u.quiet_urgent, u.inactive_since,
+      (SELECT MAX(p.min_temp) FROM plants p WHERE p.location_id = l.id) as plant_threshold
     FROM notifications n
     JOIN locations l ON n.location_id = l.id
-    JOIN users u ON l.user_id = u.id
-    WHERE n.sent = 0 AND n.scheduled_for <= datetime('now')
+    JOIN users o ON l.user_id = o.id
+    JOIN users u ON u.id = COALESCE(n.user_id, l.user_id)
+    WHERE n.sent = 0 AND n.failed_at IS NULL AND u.inactive_since IS NULL
+      AND datetime(n.scheduled_for) <= datetime('now')
+      AND (n.next_attempt_at IS NULL OR datetime(n.next_attempt_at) <= datetime('now'))
+      AND datetime(n.scheduled_for) >= datetime('now', '-1 day')
+    ORDER BY n.id
   `),
   
   // Get pending notification by ID
   getPendingNotificationById: db.prepare(`
-    SELECT n.*, l.name as location_name, l.latitude, l.longitude, u.telegram_id
+    SELECT n.*, l.name as location_name, l.latitude, l.longitude, u.id as recipient_id, u.telegram_id,
+      l.temp_threshold, o.temp_threshold as user_temp_threshold, u.timezone as user_timezone,
+      u.quiet_start, u.quiet_end, u.quiet_urgent, u.inactive_since,
+      (SELECT MAX(p.min_temp) FROM plants p WHERE p.location_id = l.id) as plant_threshold
     FROM notifications n
     JOIN locations l ON n.location_id = l.id
-    JOIN users u ON l.user_id = u.id
+    JOIN users o ON l.user_id = o.id
+    JOIN users u ON u.id = COALESCE(n.user_id, l.user_id)
     WHERE n.id = ?
   `),
 
-  // Get the latest warning notification for a location
-  getLatestWarningForLocation: db.prepare(`
-    SELECT * FROM notifications
-    WHERE location_id = ? AND notification_type = 'warning'
-    ORDER BY created_at DESC LIMIT 1
+  // Get the notification history a user received, oldest first
+  getNotificationsForUser: db.prepare(`
+    SELECT n.*, l.name as location_name
+    FROM notifications n
+    JOIN locations l ON n.location_id = l.id
+    WHERE COALESCE(n.user_id, l.user_id) = ?
+    ORDER BY n.id
+  `),
+
+  // Get the most recent notifications for a user, newest first
+  getRecentNotificationsForUser: db.prepare(`
+    SELECT n.*, l.name as location_name
+    FROM notifications n
+    JOIN locations l ON n.location_id = l.id
+    WHERE COALESCE(n.user_id, l.user_id) = ?
+    ORDER BY n.id DESC
+    LIMIT ?
+  `),
+
+  // Get a page of notifications matching the filters, newest first
+  listNotifications: db.prepare(`
+    SELECT n.*, l.name as location_name, COALESCE(n.user_id, l.user_id) as recipient_id
+    FROM notifications n
+    JOIN locations l ON n.location_id = l.id
+    WHERE ${NOTIFICATION_FILTERS}
+    ORDER BY n.id DESC
+    LIMIT @limit OFFSET @offset
+  `),
+
+  // Count the notifications matching the filters
+  countNotifications: db.prepare(`
+    SELECT COUNT(*) as total
+    FROM notifications n
+    JOIN locations l ON n.location_id = l.id
+    WHERE ${NOTIFICATION_FILTERS}
+  `)
+};
+
+// Location member operations
+const memberOps = {
+  // Subscribe a user to a location (does nothing if they already are)
+  addMember: db.prepare(`
+    INSERT INTO location_members (location_id, user_id, role)
+    VALUES (@locationId, @userId, @role)
+    ON CONFLICT(location_id, user_id) DO NOTHING
+  `),
+
+  // Unsubscribe a member from a location (owners remove the location instead)
+  removeMember: db.prepare(`
+    DELETE FROM location_members WHERE location_id = ? AND user_id = ? AND role = 'member'
+  `),
+
+  // Get a user's membership of a location, if any
+  getMembership: db.prepare(`
+    SELECT * FROM location_members WHERE location_id = ? AND user_id = ?
+  `),
+
+  // Get everyone subscribed to a location who can still be reached
+  getMembersForLocation: db.prepare(`
+    SELECT m.*, u.telegram_id, u.first_name, u.username
+    FROM location_members m
+    JOIN users u ON m.user_id = u.id
+    WHERE m.location_id = ? AND u.inactive_since IS NULL
+    ORDER BY m.id
+  `),
+
+  // Get every location for every reachable subscriber, with thresholds from the owner and the subscriber's timezone
+  getAllSubscriptions: db.prepare(`
+    SELECT l.*, m.user_id as subscriber_id, o.temp_threshold as user_temp_threshold, u.timezone as user_timezone,
+      (SELECT MAX(p.min_temp) FROM plants p WHERE p.location_id = l.id) as plant_threshold
+    FROM location_members m
+    JOIN locations l ON m.location_id = l.id
+    JOIN users o ON l.user_id = o.id
+    JOIN users u ON m.user_id = u.id
+    WHERE u.inactive_since IS NULL
+  `)
+};
+
+// Frost episode operations
+const episodeOps = {
+  // Open a new episode for a location
+  openEpisode: db.prepare(`
+    INSERT INTO frost_episodes (location_id, state, forecast_low)
+    VALUES (@locationId, @state, @forecastLow)
+  `),
+
+  // Move an open episode to a new state
+  updateEpisode: db.prepare(`
+    UPDATE frost_episodes
+    SET state = @state, forecast_low = @forecastLow, clear_since = @clearSince
+    WHERE id = @id
+  `),
+
+  // Close an episode once the location is clear again
+  closeEpisode: db.prepare(`
+    UPDATE frost_episodes SET state = 'clear', ended_at = CURRENT_TIMESTAMP WHERE id = ?
+  `),
+
+  // Get the open episode for a location, if any
+  getOpenEpisodeForLocation: db.prepare(`
+    SELECT * FROM frost_episodes
+    WHERE location_id = ? AND ended_at IS NULL
+    ORDER BY id DESC LIMIT 1
+  `)
+};
+
+// Location mute operations
+const muteOps = {
+  // Silence a location until the given time
+  addMute: db.prepare(`
+    INSERT INTO location_mutes (location_id, user_id, notification_id, reason, muted_until)
+    VALUES (@locationId, @userId, @notificationId, @reason, @mutedUntil)
+  `),
+
+  // Get the mute that silences a location for a user the longest, if any is active
+  getActiveMuteForLocation: db.prepare(`
+    SELECT * FROM location_mutes
+    WHERE location_id = ? AND (user_id = ? OR user_id IS NULL) AND datetime(muted_until) > datetime('now')
+    ORDER BY datetime(muted_until) DESC LIMIT 1
   `)
 };
 
 // Weather cache operations
+// expires_at is an ISO timestamp, so it is normalised with datetime() before comparing
 const weatherCacheOps = {
   // Add or update cache entry
   upsertWeatherCache: db.prepare(`
-    INSERT INTO weather_cache (latitude, longitude, data, expires_at)
-    VALUES (@latitude, @longitude, @data, @expiresAt)
-    ON CONFLICT(latitude, longitude) DO UPDATE SET
+    INSERT INTO weather_cache (provider, latitude, longitude, geohash, data, expires_at)
+    VALUES (@provider, @latitude, @longitude, @geohash, @data, @expiresAt)
+    ON CONFLICT(provider, latitude, longitude) DO UPDATE SET
     data = excluded.data,
     expires_at = excluded.expires_at
   `),
 
-  // Get cache entry
+  // Get cache entry for a provider and coordinates
   getWeatherCache: db.prepare(`
     SELECT * FROM weather_cache
-    WHERE latitude = ? AND longitude = ? AND expires_at > datetime('now')
+    WHERE provider = ? AND latitude = ? AND longitude = ? AND datetime(expires_at) > datetime('now')
+  `),
+
+  // Get valid cache entries for a provider in the geohash cells starting with a prefix
+  getCachedLocationsInCell: db.prepare(`
+    SELECT * FROM weather_cache
+    WHERE provider = @provider AND geohash >= @prefix AND geohash < @prefix || @prefixEnd
+      AND datetime(expires_at) > datetime('now')
   `),
 
-  // Get all valid cache entries
-  getAllCachedLocations: db.prepare(`
+  // Get the entries for a provider in the geohash cells starting with a prefix, including expired ones
+  getAnyCachedLocationsInCell: db.prepare(`
     SELECT * FROM weather_cache
-    WHERE expires_at > datetime('now')
+    WHERE provider = @provider AND geohash >= @prefix AND geohash < @prefix || @prefixEnd
+  `),
+
+  // Get a cache entry by ID
+  getCacheEntryById: db.prepare(`
+    SELECT * FROM weather_cache WHERE id = ?
+  `),
+
+  // Get a page of cache entries (without their forecasts), most recently expiring first
+  listCacheEntries: db.prepare(`
+    SELECT id, provider, latitude, longitude, geohash, expires_at, created_at,
+      datetime(expires_at) <= datetime('now') as expired
+    FROM weather_cache
+    WHERE @provider IS NULL OR provider = @provider
+    ORDER BY datetime(expires_at) DESC, id
+    LIMIT @limit OFFSET @offset
   `),
 
-  // Delete expired cache entries
+  // Count cache entries
+  countCacheEntries: db.prepare(`
+    SELECT COUNT(*) as total FROM weather_cache WHERE @provider IS NULL OR provider = @provider
+  `),
+
+  // Delete cache entries that expired before a time (kept until then as a fallback)
   cleanupExpiredCache: db.prepare(`
-    DELETE FROM weather_cache WHERE expires_at <= datetime('now')
+    DELETE FROM weather_cache WHERE datetime(expires_at) <= datetime(?)
+  `)
+};
+
+// Weather API usage operations
+const apiUsageOps = {
+  // Count a call to a provider in a period (a minute or a day)
+  recordCall: db.prepare(`
+    INSERT INTO api_usage (provider, unit, period, count)
+    VALUES (@provider, @unit, @period, 1)
+    ON CONFLICT(provider, unit, period) DO UPDATE SET count = count + 1
+  `),
+
+  // Get the number of calls to a provider in a period
+  getUsage: db.prepare(`
+    SELECT count FROM api_usage WHERE provider = ? AND unit = ? AND period = ?
+  `),
+
+  // Get the number of calls to each provider in a period
+  getUsageForPeriod: db.prepare(`
+    SELECT provider, count FROM api_usage WHERE unit = ? AND period = ? ORDER BY provider
+  `),
+
+  // Delete counts for periods before a cutoff
+  cleanupUsage: db.prepare(`
+    DELETE FROM api_usage WHERE period < ?
+  `)
+};
+
+// Operator statistics
+const statsOps = {
+  // Count users and group chats, and how many can't be reached
+  getUserCounts: db.prepare(`
+    SELECT COUNT(*) as total,
+      COUNT(CASE WHEN chat_type != 'private' THEN 1 END) as groups,
+      COUNT(CASE WHEN inactive_since IS NOT NULL THEN 1 END) as inactive
+    FROM users
+  `),
+
+  // Count locations, how many are shared, and their plants
+  getLocationCounts: db.prepare(`
+    SELECT COUNT(*) as total,
+      COUNT(CASE WHEN (SELECT COUNT(*) FROM location_members m WHERE m.location_id = l.id) > 1 THEN 1 END) as shared,
+      (SELECT COUNT(*) FROM plants) as plants
+    FROM locations l
+  `),
+
+  // Count notifications by delivery state, and those created in the last day
+  getNotificationCounts: db.prepare(`
+    SELECT COUNT(*) as total,
+      COUNT(CASE WHEN sent = 1 THEN 1 END) as sent,
+      COUNT(CASE WHEN sent = 0 AND failed_at IS NULL THEN 1 END) as pending,
+      COUNT(CASE WHEN failed_at IS NOT NULL THEN 1 END) as failed,
+      COUNT(CASE WHEN created_at >= datetime('now', '-1 day') THEN 1 END) as last_day
+    FROM notifications
   `)
 };
 
@@ -216,6 +595,12 @@ module.exports = {
   db,
   userOps,
   locationOps,
+  plantOps,
   notificationOps,
-  weatherCacheOps
+  memberOps,
+  episodeOps,
+  muteOps,
+  weatherCacheOps,
+  apiUsageOps,
+  statsOps
 }; 
\ No newline at end of file
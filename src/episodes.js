@@ -0,0 +1,133 @@
+/**
+ * Frost episode state machine
+ *
+ * Each location moves through clear → warned → freezing → recovering → clear.
+ * Everything between leaving and returning to "clear" is one frost episode, which
+ * yields at most one warning, one freeze alert and one all-clear. A further warning
+ * is only sent when the forecast low worsens by at least REWARN_DELTA. Once an
+ * episode is recovering, the next frost spell (e.g. the following night of a cold
+ * spell) starts a new episode with its own warning.
+ *
+ * To stop alerts flapping when temperatures hover around the threshold, an episode
+ * only starts recovering once it is CLEAR_HYSTERESIS degrees above the threshold, and
+ * the all-clear is only declared after conditions have stayed clear for
+ * ALL_CLEAR_MIN_DURATION hours. Clear refers to the current spell: frost forecast
+ * beyond the warning window doesn't hold the all-clear back.
+ */
+require('dotenv').config();
+
+// How much colder (°C) the forecast low must get before warning again; 0 disables re-warnings
+const REWARN_DELTA = parseFloat(process.env.REWARN_DELTA || '2');
+
+// Degrees above the threshold the temperature must reach before frost is considered over
+const CLEAR_HYSTERESIS = parseFloat(process.env.CLEAR_HYSTERESIS || '2');
+
+// Hours conditions must stay clear before an all-clear is sent
+const ALL_CLEAR_MIN_DURATION = parseFloat(process.env.ALL_CLEAR_MIN_DURATION || '3');
+
+const ALERT_STATES = {
+  CLEAR: 'clear',
+  WARNED: 'warned',
+  FREEZING: 'freezing',
+  RECOVERING: 'recovering'
+};
+
+/**
+ * Check whether the forecast low has worsened enough to warn again
+ * @param {number|null} reportedLow - Low included in the last warning
+ * @param {Object} analysis - Result of analyzeForecast
+ * @returns {boolean}
+ */
+function shouldRewarn(reportedLow, analysis) {
+  if (REWARN_DELTA <= 0 || !analysis.willFreezeSoon) return false;
+  if (reportedLow === null || reportedLow === undefined) return false;
+  if (analysis.freezingLow === null || analysis.freezingLow === undefined) return false;
+
+  return analysis.freezingLow <= reportedLow - REWARN_DELTA;
+}
+
+/**
+ * Check whether the temperature has risen clear of the threshold's hysteresis band
+ * @param {Object} analysis - Result of analyzeForecast
+ * @returns {boolean}
+ */
+function isAboveClearBand(analysis) {
+  return typeof analysis.currentTemp === 'number' &&
+    analysis.currentTemp >= analysis.threshold + CLEAR_HYSTERESIS;
+}
+
+/**
+ * Work out the next alert state for a location and which notifications it triggers
+ * @param {Object|null} episode - Open frost episode row, or null when the location is clear
+ * @param {Object} analysis - Result of analyzeForecast
+ * @param {Date} now - Time of the check
+ * @returns {Object} { state, forecastLow, clearSince, notifications, newEpisode } where notifications is a list of
+ *   notification types and newEpisode is true when the open episode should be closed and a new one started
+ */
+function evaluateEpisode(episode, analysis, now = new Date()) {
+  const state = episode ? episode.state : ALERT_STATES.CLEAR;
+  const forecastLow = episode ? episode.forecast_low : null;
+
+  if (state === ALERT_STATES.CLEAR) {
+    if (analysis.isBelowFreezing) {
+      return { state: ALERT_STATES.FREEZING, forecastLow: analysis.freezingLow, clearSince: null, notifications: ['now_freezing'] };
+    }
+    if (analysis.willFreezeSoon) {
+      return { state: ALERT_STATES.WARNED, forecastLow: analysis.freezingLow, clearSince: null, notifications: ['warning'] };
+    }
+    return { state, forecastLow: null, clearSince: null, notifications: [] };
+  }
+
+  // Track how long the location has looked clear: the temperature above the hysteresis
+  // band and no frost due within the warning window (later frost is a new spell)
+  const looksClear = isAboveClearBand(analysis) && !analysis.willFreezeSoon;
+  const clearSince = looksClear ? (episode.clear_since || now.toISOString()) : null;
+  const clearLongEnough = clearSince !== null &&
+    now.getTime() - new Date(clearSince).getTime() >= ALL_CLEAR_MIN_DURATION * 60 * 60 * 1000;
+
+  if (clearLongEnough) {
+    return { state: ALERT_STATES.CLEAR, forecastLow, clearSince, notifications: ['all_clear'] };
+  }
+
+  switch (state) {
+    case ALERT_STATES.WARNED:
+      if (analysis.isBelowFreezing) {
+        return { state: ALERT_STATES.FREEZING, forecastLow, clearSince, notifications: ['now_freezing'] };
+      }
+      if (shouldRewarn(forecastLow, analysis)) {
+        return { state, forecastLow: analysis.freezingLow, clearSince, notifications: ['rewarning'] };
+      }
+      break;
+
+    case ALERT_STATES.FREEZING:
+      // Only start recovering once clear of the hysteresis band
+      if (isAboveClearBand(analysis)) {
+        return { state: ALERT_STATES.RECOVERING, forecastLow, clearSince, notifications: [] };
+      }
+      break;
+
+    case ALERT_STATES.RECOVERING:
+      // The temperature has risen clear of the hysteresis band since the last spell, so
+      // frost coming back is a new spell (e.g. the next night) and gets its own alerts
+      if (analysis.isBelowFreezing) {
+        return { state: ALERT_STATES.FREEZING, forecastLow: analysis.freezingLow, clearSince: null, notifications: ['now_freezing'], newEpisode: true };
+      }
+      if (analysis.willFreezeSoon) {
+        return { state: ALERT_STATES.WARNED, forecastLow: analysis.freezingLow, clearSince: null, notifications: ['warning'], newEpisode: true };
+      }
+      break;
+
+    default:
+      console.error(`Unknown alert state: ${state}`);
+  }
+
+  return { state, forecastLow, clearSince, notifications: [] };
+}
+
+module.exports = {
+  ALERT_STATES,
+  REWARN_DELTA,
+  CLEAR_HYSTERESIS,
+  ALL_CLEAR_MIN_DURATION,
+  evaluateEpisode
+}; 
\ No newline at end of file
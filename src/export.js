@@ -0,0 +1,381 @@
+/**
+ * Personal data export and import
+ *
+ * /export sends a JSON document with the user's profile, settings, locations (with
+ * their plants) and notification history, or CSV files of the locations and history.
+ * /import reads such a JSON document back and merges it into the user's account:
+ * locations are added (renamed if the name is taken by a different place), plants
+ * are added to locations that already exist, and settings are only filled in where
+ * the user hasn't set them. Notification history and shared locations are not imported.
+ */
+const { db, userOps, locationOps, plantOps, notificationOps, memberOps } = require('./db');
+const { MIN_THRESHOLD, MAX_THRESHOLD } = require('./thresholds');
+const { MIN_PLANT_TEMP, MAX_PLANT_TEMP } = require('./plants');
+const { PROVIDERS } = require('./providers');
+const { isValidPosition } = require('./coordinates');
+const { isValidTimezone } = require('./timezones');
+const { URGENT_MODES, parseQuietHours } = require('./quiet');
+const { MEMBER_ROLES, formatOwnerName } = require('./sharing');
+
+const EXPORT_FORMAT = 'savemyplants-export';
+const EXPORT_VERSION = 1;
+
+// Limits for uploaded imports
+const MAX_IMPORT_SIZE = 1024 * 1024; // 1 MB
+const MAX_IMPORT_LOCATIONS = 100;
+const MAX_NAME_LENGTH = 100;
+const MAX_IMPORT_PLANTS = 100; // per location
+const MAX_HARDINESS_LENGTH = 50;
+
+// Locations closer than this (in degrees) are treated as the same place
+const SAME_PLACE_TOLERANCE = 0.0001;
+
+/**
+ * Build a user's data export
+ * @param {Object} user - User row
+ * @returns {Object} Export document
+ */
+function buildExport(user) {
+  const locations = locationOps.getLocationsForUser.all(user.id);
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: {
+      telegramId: user.telegram_id,
+      chatType: user.chat_type || 'private',
+      username: user.username,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      createdAt: user.created_at
+    },
+    settings: {
+      tempThreshold: user.temp_threshold,
+      timezone: user.timezone,
+      quietStart: user.quiet_start,
+      quietEnd: user.quiet_end,
+      quietUrgent: user.quiet_urgent
+    },
+    locations: locations.map(location => ({
+      name: location.name,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      tempThreshold: location.temp_threshold,
+      weatherProvider: location.weather_provider,
+      role: location.role,
+      sharedBy: location.role === MEMBER_ROLES.MEMBER ? formatOwnerName(location) : null,
+      createdAt: location.created_at,
+      plants: plantOps.getPlantsForLocation.all(location.id).map(plant => ({
+        name: plant.name,
+        hardiness: plant.hardiness,
+        minTemp: plant.min_temp
+      }))
+    })),
+    notifications: notificationOps.getNotificationsForUser.all(user.id).map(notification => ({
+      location: notification.location_name,
+      type: notification.notification_type,
+      scheduledFor: notification.scheduled_for,
+      temperature: notification.temperature,
+      forecastTime: notification.forecast_time,
+      forecastLow: notification.forecast_low,
+      lowTime: notification.low_time,
+      hoursBelow: notification.hours_below,
+      riskLevel: notification.risk_level,
+      response: notification.response,
+      respondedAt: notification.responded_at,
+      sent: Boolean(notification.sent),
+      createdAt: notification.created_at
+    }))
+  };
+}
+
+/**
+ * Convert rows to CSV, quoting values where needed
+ * @param {Array<Object>} rows
+ * @param {Array<string>} columns - Keys to include, in order
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    // Spreadsheets run text starting with these as a formula, so names like "=HYPERLINK(...)" stay text
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escape).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Build CSV files from a data export
+ * @param {Object} data - Result of buildExport
+ * @returns {Object} { locations, notifications } CSV text
+ */
+function buildCsvExport(data) {
+  const locations = data.locations.map(location => ({
+    ...location,
+    plants: location.plants.map(plant => `${plant.name} (${plant.hardiness})`).join('; ')
+  }));
+
+  return {
+    locations: toCsv(locations, [
+      'name', 'latitude', 'longitude', 'tempThreshold', 'weatherProvider', 'role', 'sharedBy', 'createdAt', 'plants'
+    ]),
+    notifications: toCsv(data.notifications, [
+      'location', 'type', 'scheduledFor', 'temperature', 'forecastTime', 'forecastLow', 'lowTime',
+      'hoursBelow', 'riskLevel', 'response', 'respondedAt', 'sent', 'createdAt'
+    ])
+  };
+}
+
+/**
+ * Check whether a value is a usable name
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidName(value) {
+  return typeof value === 'string' && value.trim().length > 0 && value.trim().length <= MAX_NAME_LENGTH &&
+    !value.trim().startsWith('/');
+}
+
+/**
+ * Check whether a value is an allowed threshold, or empty
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidThreshold(value) {
+  return value === null || value === undefined ||
+    (typeof value === 'number' && value >= MIN_THRESHOLD && value <= MAX_THRESHOLD);
+}
+
+/**
+ * Find what's wrong with an imported plant
+ * @param {*} plant
+ * @returns {string|null} Reason the plant can't be imported, or null if it's fine
+ */
+function getInvalidPlantReason(plant) {
+  if (!isValidName(plant?.name)) {
+    return 'invalid plant name';
+  }
+  if (typeof plant.hardiness !== 'string' || !plant.hardiness.trim() || plant.hardiness.length > MAX_HARDINESS_LENGTH) {
+    return 'invalid hardiness';
+  }
+  // Plants can be hardier than any alert threshold, e.g. USDA zone 3
+  if (typeof plant.minTemp !== 'number' || !(plant.minTemp >= MIN_PLANT_TEMP && plant.minTemp <= MAX_PLANT_TEMP)) {
+    return `minimum temperature outside ${MIN_PLANT_TEMP} to ${MAX_PLANT_TEMP}°C`;
+  }
+  return null;
+}
+
+/**
+ * Validate an uploaded export and pick out what can be imported
+ * @param {string} text - Contents of the uploaded file
+ * @returns {Object} { settings, locations, skipped } where skipped lists locations and plants that can't be imported and why
+ * @throws {Error} With a message for the user if the file isn't an export at all
+ */
+function parseImport(text) {
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file isn\'t valid JSON.');
+  }
+
+  if (!data || data.format !== EXPORT_FORMAT) {
+    throw new Error('The file isn\'t a SaveMyPlants export. Use a file made with /export.');
+  }
+
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    throw new Error('The export was made by a newer version of the bot and can\'t be imported.');
+  }
+
+  if (!Array.isArray(data.locations)) {
+    throw new Error('The export has no list of locations.');
+  }
+
+  if (data.locations.length > MAX_IMPORT_LOCATIONS) {
+    throw new Error(`The export has more than ${MAX_IMPORT_LOCATIONS} locations.`);
+  }
+
+  const locations = [];
+  const skipped = [];
+
+  for (const location of data.locations) {
+    const name = typeof location?.name === 'string' && location.name.trim() ? location.name.trim() : '(unnamed)';
+
+    if (location?.role === MEMBER_ROLES.MEMBER) {
+      skipped.push({ name, reason: 'shared with you by someone else, ask them for a new invite' });
+    } else if (!isValidName(location?.name)) {
+      skipped.push({ name, reason: 'invalid name' });
+    } else if (!isValidPosition(location.latitude, location.longitude)) {
+      skipped.push({ name, reason: 'invalid coordinates' });
+    } else if (!isValidThreshold(location.tempThreshold)) {
+      skipped.push({ name, reason: `threshold outside ${MIN_THRESHOLD} to ${MAX_THRESHOLD}°C` });
+    } else if (Array.isArray(location.plants) && location.plants.length > MAX_IMPORT_PLANTS) {
+      skipped.push({ name, reason: `more than ${MAX_IMPORT_PLANTS} plants` });
+    } else {
+      const plants = [];
+
+      for (const plant of Array.isArray(location.plants) ? location.plants : []) {
+        const reason = getInvalidPlantReason(plant);
+
+        if (reason) {
+          const plantName = typeof plant?.name === 'string' && plant.name.trim() ? plant.name.trim() : '(unnamed)';
+          skipped.push({ name: `${name}: ${plantName}`, reason });
+        } else {
+          plants.push(plant);
+        }
+      }
+
+      locations.push({
+        name,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        tempThreshold: location.tempThreshold ?? null,
+        // Providers that no longer exist fall back to the default
+        weatherProvider: PROVIDERS[location.weatherProvider] ? location.weatherProvider : null,
+        plants
+      });
+    }
+  }
+
+  const settings = data.settings || {};
+  const quiet = settings.quietStart && settings.quietEnd ? parseQuietHours(`${settings.quietStart}-${settings.quietEnd}`) : null;
+
+  return {
+    settings: {
+      tempThreshold: typeof settings.tempThreshold === 'number' && isValidThreshold(settings.tempThreshold) ?
+        settings.tempThreshold : null,
+      timezone: typeof settings.timezone === 'string' && isValidTimezone(settings.timezone) ? settings.timezone : null,
+      quietStart: quiet?.start || null,
+      quietEnd: quiet?.end || null,
+      quietUrgent: URGENT_MODES.includes(settings.quietUrgent) ? settings.quietUrgent : null
+    },
+    locations,
+    skipped
+  };
+}
+
+/**
+ * Find a name for an imported location that the user isn't already using
+ * @param {string} name
+ * @param {Set<string>} taken - Lower-cased names of the user's locations
+ * @returns {string} e.g. "Allotment (2)"
+ */
+function findFreeName(name, taken) {
+  let suffix = 2;
+
+  while (taken.has(`${name} (${suffix})`.toLowerCase())) {
+    suffix++;
+  }
+
+  return `${name} (${suffix})`;
+}
+
+/**
+ * Check whether a location name is an imported name, or a renamed copy of it
+ * @param {string} name - Existing location name
+ * @param {string} importedName
+ * @returns {boolean} e.g. true for "Allotment (2)" and "Allotment"
+ */
+function isCopyName(name, importedName) {
+  const lower = name.toLowerCase();
+  const imported = importedName.toLowerCase();
+  return lower === imported || (lower.startsWith(`${imported} (`) && /^ \(\d+\)$/.test(lower.slice(imported.length)));
+}
+
+/**
+ * Merge validated import data into a user's account
+ * Runs in a single transaction, so a failure leaves the account unchanged
+ * @param {Object} user - User row
+ * @param {Object} data - Result of parseImport
+ * @returns {Object} { added, merged, settings } describing what changed
+ */
+function importData(user, data) {
+  const result = { added: [], merged: [], settings: [] };
+
+  db.transaction(() => {
+    const owned = locationOps.getLocationsForUser.all(user.id).filter(location => location.user_id === user.id);
+    const taken = new Set(owned.map(location => location.name.toLowerCase()));
+
+    for (const location of data.locations) {
+      // Includes locations added earlier in this import, as a file can repeat a name
+      const nameTaken = taken.has(location.name.toLowerCase());
+      // Includes copies renamed by an earlier import, so importing twice doesn't duplicate them
+      const samePlace = owned.find(l => isCopyName(l.name, location.name) &&
+        Math.abs(l.latitude - location.latitude) < SAME_PLACE_TOLERANCE &&
+        Math.abs(l.longitude - location.longitude) < SAME_PLACE_TOLERANCE);
+      let locationId;
+
+      if (samePlace) {
+        // The location is already here, so only its plants are merged
+        locationId = samePlace.id;
+        result.merged.push({ name: samePlace.name });
+      } else {
+        // A different place with the same name is imported under a new name
+        const name = nameTaken ? findFreeName(location.name, taken) : location.name;
+        locationId = locationOps.addLocation.run({
+          userId: user.id,
+          name,
+          latitude: location.latitude,
+          longitude: location.longitude
+        }).lastInsertRowid;
+
+        memberOps.addMember.run({ locationId, userId: user.id, role: MEMBER_ROLES.OWNER });
+        locationOps.setLocationThreshold.run(location.tempThreshold, locationId, user.id);
+        locationOps.setLocationProvider.run(location.weatherProvider, locationId, user.id);
+
+        taken.add(name.toLowerCase());
+        result.added.push({ name, renamedFrom: nameTaken ? location.name : null });
+      }
+
+      for (const plant of location.plants) {
+        plantOps.addPlantIfMissing.run({
+          locationId,
+          name: plant.name.trim(),
+          hardiness: plant.hardiness,
+          minTemp: plant.minTemp
+        });
+      }
+    }
+
+    // Settings are only filled in where the user hasn't chosen their own
+    const { settings } = data;
+
+    if (user.temp_threshold === null && settings.tempThreshold !== null) {
+      userOps.setUserThreshold.run(settings.tempThreshold, user.id);
+      result.settings.push('alert threshold');
+    }
+
+    if (!user.timezone && settings.timezone) {
+      userOps.setUserTimezone.run(settings.timezone, user.id);
+      result.settings.push('timezone');
+    }
+
+    if (!user.quiet_start && settings.quietStart) {
+      userOps.setQuietHours.run(settings.quietStart, settings.quietEnd, user.id);
+      result.settings.push('quiet hours');
+    }
+
+    if (!user.quiet_urgent && settings.quietUrgent) {
+      userOps.setQuietUrgent.run(settings.quietUrgent, user.id);
+      result.settings.push('urgent alert delivery');
+    }
+  })();
+
+  return result;
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  MAX_IMPORT_SIZE,
+  buildExport,
+  buildCsvExport,
+  parseImport,
+  importData
+}; 
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Radiative frost risk model
+ *
+ * On clear, calm nights the ground radiates heat into space and can fall several
+ * degrees below the 2 m air temperature, so grass and ground frost can hit plants
+ * while the air is still above freezing. Each forecast point is classified as:
+ * - air_frost: the air temperature itself is at or below the threshold
+ * - ground_frost: at night the estimated ground temperature reaches the threshold
+ * - none: no frost expected
+ */
+require('dotenv').config();
+
+// Set to "false" to only alert on air frost
+const GROUND_FROST_ALERTS = (process.env.GROUND_FROST_ALERTS || 'true').toLowerCase() !== 'false';
+
+// Maximum cooling of the ground below the air temperature on a clear, still night (°C)
+const MAX_RADIATIVE_COOLING = 5;
+
+// Wind speed (m/s) at which mixing stops the ground cooling below the air
+const CALM_WIND_LIMIT = 5;
+
+const RISK_LEVELS = {
+  NONE: 'none',
+  GROUND_FROST: 'ground_frost',
+  AIR_FROST: 'air_frost'
+};
+
+// Ordering used to pick the worst risk of a period
+const RISK_SEVERITY = {
+  [RISK_LEVELS.NONE]: 0,
+  [RISK_LEVELS.GROUND_FROST]: 1,
+  [RISK_LEVELS.AIR_FROST]: 2
+};
+
+const RISK_LABELS = {
+  [RISK_LEVELS.NONE]: 'No frost risk',
+  [RISK_LEVELS.GROUND_FROST]: 'Ground frost possible',
+  [RISK_LEVELS.AIR_FROST]: 'Air frost likely'
+};
+
+/**
+ * Calculate the sun's elevation above the horizon (NOAA approximation)
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {number} Elevation in degrees (negative when the sun is below the horizon)
+ */
+function getSolarElevation(date, latitude, longitude) {
+  const rad = Math.PI / 180;
+  const startOfYear = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const dayOfYear = Math.floor((date.getTime() - startOfYear) / 86400000) + 1;
+  const hours = date.getUTCHours() + date.getUTCMinutes() / 60;
+
+  // Fractional year in radians
+  const g = (2 * Math.PI / 365) * (dayOfYear - 1 + (hours - 12) / 24);
+
+  const declination = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g) -
+    0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g) -
+    0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+
+  // Equation of time in minutes
+  const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g) -
+    0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+
+  const trueSolarTime = hours * 60 + eqTime + 4 * longitude;
+  const hourAngle = (trueSolarTime / 4 - 180) * rad;
+
+  const cosZenith = Math.sin(latitude * rad) * Math.sin(declination) +
+    Math.cos(latitude * rad) * Math.cos(declination) * Math.cos(hourAngle);
+
+  return 90 - Math.acos(Math.min(1, Math.max(-1, cosZenith))) / rad;
+}
+
+/**
+ * Check whether the sun is down at the given time and place
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {boolean}
+ */
+function isNight(date, latitude, longitude) {
+  return getSolarElevation(date, latitude, longitude) < 0;
+}
+
+/**
+ * Estimate the ground (grass) temperature for a forecast point
+ * Unknown wind or cloud counts as half effective; dew forming on the ground releases
+ * latent heat, so the ground rarely cools far below the dew point.
+ * @param {Object} point - Normalised forecast point
+ * @param {boolean} night - Whether the sun is down
+ * @returns {number} Estimated ground temperature in °C
+ */
+function estimateGroundTemp(point, night) {
+  if (!night) {
+    return point.temperature;
+  }
+
+  const calm = point.windSpeed === null || point.windSpeed === undefined ?
+    0.5 :
+    Math.min(1, Math.max(0, 1 - point.windSpeed / CALM_WIND_LIMIT));
+  const clear = point.cloudCover === null || point.cloudCover === undefined ?
+    0.5 :
+    Math.min(1, Math.max(0, 1 - point.cloudCover / 100));
+
+  let groundTemp = point.temperature - MAX_RADIATIVE_COOLING * calm * clear;
+
+  if (point.dewPoint !== null && point.dewPoint !== undefined) {
+    groundTemp = Math.max(groundTemp, Math.min(point.temperature, point.dewPoint - 1));
+  }
+
+  return Math.round(groundTemp * 10) / 10;
+}
+
+/**
+ * Classify the frost risk of a single forecast point
+ * @param {Object} point - Normalised forecast point
+ * @param {Object} options - { latitude, longitude, threshold }
+ * @returns {Object} { level, groundTemp }
+ */
+function classifyFrostRisk(point, { latitude, longitude, threshold }) {
+  const night = typeof latitude === 'number' && typeof longitude === 'number' ?
+    isNight(new Date(point.time), latitude, longitude) :
+    false;
+  const groundTemp = estimateGroundTemp(point, night);
+
+  if (point.temperature <= threshold) {
+    return { level: RISK_LEVELS.AIR_FROST, groundTemp };
+  }
+
+  if (GROUND_FROST_ALERTS && groundTemp <= threshold) {
+    return { level: RISK_LEVELS.GROUND_FROST, groundTemp };
+  }
+
+  return { level: RISK_LEVELS.NONE, groundTemp };
+}
+
+/**
+ * Pick the more severe of two risk levels
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+function worstRisk(a, b) {
+  return (RISK_SEVERITY[b] || 0) > (RISK_SEVERITY[a] || 0) ? b : a;
+}
+
+module.exports = {
+  RISK_LEVELS,
+  RISK_LABELS,
+  GROUND_FROST_ALERTS,
+  getSolarElevation,
+  isNight,
+  classifyFrostRisk,
+  worstRisk
+}; 
\ No newline at end of file
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Gazetteer file: the built-in extract, or a GeoNames cities file (e.g. cities15000.txt)
+const GAZETTEER_PATH = process.env.GAZETTEER_PATH || path.join(__dirname, 'cities.tsv');
+
+// Country names and the other ways users refer to them, keyed by ISO code
+const COUNTRIES = {
+  GB: ['United Kingdom', 'UK', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'],
+  IE: ['Ireland', 'Eire'],
+  FR: ['France'],
+  BE: ['Belgium'],
+  NL: ['Netherlands', 'Holland'],
+  LU: ['Luxembourg'],
+  DE: ['Germany', 'Deutschland'],
+  CH: ['Switzerland'],
+  AT: ['Austria'],
+  IT: ['Italy', 'Italia'],
+  ES: ['Spain', 'España'],
+  PT: ['Portugal'],
+  DK: ['Denmark'],
+  NO: ['Norway'],
+  SE: ['Sweden'],
+  FI: ['Finland'],
+  IS: ['Iceland'],
+  EE: ['Estonia'],
+  LV: ['Latvia'],
+  LT: ['Lithuania'],
+  PL: ['Poland'],
+  CZ: ['Czechia', 'Czech Republic'],
+  SK: ['Slovakia'],
+  HU: ['Hungary'],
+  SI: ['Slovenia'],
+  HR: ['Croatia'],
+  RS: ['Serbia'],
+  RO: ['Romania'],
+  BG: ['Bulgaria'],
+  GR: ['Greece'],
+  TR: ['Turkey', 'Türkiye'],
+  UA: ['Ukraine'],
+  BY: ['Belarus'],
+  RU: ['Russia'],
+  US: ['United States', 'USA', 'US', 'America'],
+  CA: ['Canada'],
+  MX: ['Mexico'],
+  AR: ['Argentina'],
+  CL: ['Chile'],
+  UY: ['Uruguay'],
+  BR: ['Brazil', 'Brasil'],
+  ZA: ['South Africa'],
+  JP: ['Japan'],
+  KR: ['South Korea', 'Korea'],
+  CN: ['China'],
+  AU: ['Australia'],
+  NZ: ['New Zealand']
+};
+
+// Parsed places, loaded on first search
+let places = null;
+
+/**
+ * Normalise text for matching: lower case, no accents or punctuation
+ * @param {string} text
+ * @returns {string}
+ */
+function normalise(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse one line of the gazetteer file
+ * Accepts the built-in 7-column format and the 19-column GeoNames format
+ * @param {string} line
+ * @returns {Object|null} Place, or null for comments and malformed lines
+ */
+function parseLine(line) {
+  if (!line.trim() || line.startsWith('#')) return null;
+
+  const columns = line.split('\t');
+  let place;
+
+  if (columns.length >= 19) {
+    place = {
+      name: columns[1],
+      alternateNames: columns[3],
+      country: columns[8],
+      region: columns[10],
+      latitude: parseFloat(columns[4]),
+      longitude: parseFloat(columns[5]),
+      population: parseInt(columns[14]) || 0
+    };
+  } else if (columns.length >= 7) {
+    place = {
+      name: columns[0],
+      alternateNames: columns[1],
+      country: columns[2],
+      region: columns[3],
+      latitude: parseFloat(columns[4]),
+      longitude: parseFloat(columns[5]),
+      population: parseInt(columns[6]) || 0
+    };
+  } else {
+    return null;
+  }
+
+  if (isNaN(place.latitude) || isNaN(place.longitude)) return null;
+
+  place.keys = [place.name, ...place.alternateNames.split(',')].map(normalise).filter(Boolean);
+  return place;
+}
+
+/**
+ * Load and index the gazetteer file
+ * @returns {Array<Object>} Places
+ */
+function loadPlaces() {
+  if (!places) {
+    places = fs.readFileSync(GAZETTEER_PATH, 'utf8')
+      .split('\n')
+      .map(parseLine)
+      .filter(Boolean);
+
+    console.log(`Loaded ${places.length} places from ${GAZETTEER_PATH}`);
+  }
+
+  return places;
+}
+
+/**
+ * Check whether a qualifier such as "UK" or "Ontario" matches a place
+ * @param {Object} place
+ * @param {string} qualifier - Normalised qualifier
+ * @returns {boolean}
+ */
+function matchesQualifier(place, qualifier) {
+  const countryNames = [place.country, ...(COUNTRIES[place.country] || [])].map(normalise);
+
+  return countryNames.includes(qualifier) || normalise(place.region).startsWith(qualifier);
+}
+
+/**
+ * Search the offline gazetteer
+ * The query is a place name optionally followed by comma-separated qualifiers,
+ * e.g. "Bristol, UK" or "Portland, Oregon"
+ * @param {string} query
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array<Object>>} Candidates, best match first
+ */
+async function search(query, { limit = 5 } = {}) {
+  const [name, ...qualifiers] = String(query || '').split(',').map(normalise);
+  if (!name) return [];
+
+  const matches = [];
+
+  for (const place of loadPlaces()) {
+    // Exact names rank above names that merely start with the query
+    let score = 0;
+    if (place.keys.includes(name)) {
+      score = 2;
+    } else if (place.keys.some(key => key.startsWith(name))) {
+      score = 1;
+    }
+
+    if (score && qualifiers.every(qualifier => !qualifier || matchesQualifier(place, qualifier))) {
+      matches.push({ place, score });
+    }
+  }
+
+  return matches
+    .sort((a, b) => b.score - a.score || b.place.population - a.place.population)
+    .slice(0, limit)
+    .map(({ place }) => ({
+      name: place.name,
+      displayName: [place.name, place.region, COUNTRIES[place.country]?.[0] || place.country]
+        .filter(Boolean)
+        .join(', '),
+      latitude: place.latitude,
+      longitude: place.longitude,
+      country: place.country
+    }));
+}
+
+module.exports = {
+  name: 'gazetteer',
+  label: 'Offline gazetteer',
+  search
+}; 
\ No newline at end of file
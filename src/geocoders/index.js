@@ -0,0 +1,60 @@
+const gazetteer = require('./gazetteer');
+const nominatim = require('./nominatim');
+require('dotenv').config();
+
+// All available geocoders, keyed by name
+const GEOCODERS = {
+  [gazetteer.name]: gazetteer,
+  [nominatim.name]: nominatim
+};
+
+// Geocoder used by the /add wizard (offline by default)
+const DEFAULT_GEOCODER = process.env.GEOCODER || gazetteer.name;
+
+if (!GEOCODERS[DEFAULT_GEOCODER]) {
+  throw new Error(`Unknown GEOCODER "${DEFAULT_GEOCODER}". Use one of: ${Object.keys(GEOCODERS).join(', ')}`);
+}
+
+// Maximum number of candidates offered to the user
+const MAX_CANDIDATES = 5;
+
+/**
+ * Get a geocoder by name
+ * @param {string} name - Geocoder name (defaults to GEOCODER)
+ * @returns {Object} Geocoder with `name`, `label` and `search(query, options)`
+ */
+function getGeocoder(name = DEFAULT_GEOCODER) {
+  const geocoder = GEOCODERS[name];
+
+  if (!geocoder) {
+    throw new Error(`Unknown geocoder: ${name}`);
+  }
+
+  return geocoder;
+}
+
+/**
+ * Look up candidate positions for a place name or postcode
+ * Falls back to the offline gazetteer if an online geocoder fails
+ * @param {string} query
+ * @returns {Promise<Array<Object>>} Candidates with `name`, `displayName`, `latitude` and `longitude`
+ */
+async function geocode(query) {
+  const geocoder = getGeocoder();
+
+  try {
+    return await geocoder.search(query, { limit: MAX_CANDIDATES });
+  } catch (error) {
+    if (geocoder === gazetteer) throw error;
+
+    console.error(`Error geocoding with ${geocoder.label}, falling back to ${gazetteer.label}:`, error.message);
+    return gazetteer.search(query, { limit: MAX_CANDIDATES });
+  }
+}
+
+module.exports = {
+  GEOCODERS,
+  DEFAULT_GEOCODER,
+  getGeocoder,
+  geocode
+}; 
\ No newline at end of file
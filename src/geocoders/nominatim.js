@@ -0,0 +1,43 @@
+const axios = require('axios');
+require('dotenv').config();
+
+// Any Nominatim-compatible search API (public OSM instance by default)
+const NOMINATIM_URL = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+
+// The public Nominatim usage policy requires an identifying User-Agent
+const GEOCODER_USER_AGENT = process.env.GEOCODER_USER_AGENT ||
+  'SaveMyPlants/1.0 github.com/TheTrueShell/SaveMyPlants';
+
+/**
+ * Search for a place name, address or postcode
+ * @param {string} query
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array<Object>>} Candidates, best match first
+ */
+async function search(query, { limit = 5 } = {}) {
+  const response = await axios.get(`${NOMINATIM_URL.replace(/\/$/, '')}/search`, {
+    params: {
+      q: query,
+      format: 'jsonv2',
+      addressdetails: 1,
+      limit
+    },
+    headers: {
+      'User-Agent': GEOCODER_USER_AGENT
+    }
+  });
+
+  return (response.data || []).map(place => ({
+    name: place.name || place.display_name.split(',')[0],
+    displayName: place.display_name,
+    latitude: parseFloat(place.lat),
+    longitude: parseFloat(place.lon),
+    country: place.address?.country_code?.toUpperCase() || null
+  }));
+}
+
+module.exports = {
+  name: 'nominatim',
+  label: 'Nominatim',
+  search
+}; 
\ No newline at end of file
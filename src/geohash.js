@@ -0,0 +1,119 @@
+/**
+ * Geohash helpers for the weather cache's spatial index
+ *
+ * A geohash names a cell of the map; each extra character splits the cell into 32, and
+ * every position in a cell has a hash starting with the cell's hash. Cache entries store
+ * the hash of their position, so the entries near a point are found with a few indexed
+ * prefix range scans instead of measuring the distance to every entry.
+ */
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Characters stored for each cache entry (cells of about 1.2km × 0.6km)
+const GEOHASH_PRECISION = 6;
+
+// Sorts after every geohash character, for the upper bound of a prefix range
+const PREFIX_END = '~';
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Encode a position as a geohash
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} precision - Number of characters
+ * @returns {string}
+ */
+function encodeGeohash(latitude, longitude, precision = GEOHASH_PRECISION) {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let isLongitude = true;
+
+  while (hash.length < precision) {
+    const range = isLongitude ? lonRange : latRange;
+    const coordinate = isLongitude ? longitude : latitude;
+    const middle = (range[0] + range[1]) / 2;
+
+    // Bits alternate between longitude and latitude, halving the range each time
+    value <<= 1;
+    if (coordinate >= middle) {
+      value |= 1;
+      range[0] = middle;
+    } else {
+      range[1] = middle;
+    }
+
+    isLongitude = !isLongitude;
+
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Size of a geohash cell
+ * @param {number} precision - Number of characters
+ * @returns {Object} { latitude, longitude } height and width in degrees
+ */
+function getCellSize(precision) {
+  const lonBits = Math.ceil(precision * 5 / 2);
+  const latBits = Math.floor(precision * 5 / 2);
+
+  return {
+    latitude: 180 / 2 ** latBits,
+    longitude: 360 / 2 ** lonBits
+  };
+}
+
+/**
+ * Find geohash prefixes whose cells together cover every point within a distance
+ * Uses the longest prefixes whose cells are at least as large as the search box, so
+ * the box overlaps at most four cells (one prefix of "" covers the whole map).
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} distance - Radius in meters
+ * @returns {Array<string>} Unique prefixes
+ */
+function getCoveringPrefixes(latitude, longitude, distance) {
+  const latDelta = distance / METERS_PER_DEGREE;
+  const lonDelta = distance / (METERS_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.0001));
+
+  let precision = GEOHASH_PRECISION;
+  while (precision > 0) {
+    const cell = getCellSize(precision);
+    if (cell.latitude >= 2 * latDelta && cell.longitude >= 2 * lonDelta) break;
+    precision--;
+  }
+
+  if (precision === 0) {
+    return [''];
+  }
+
+  const prefixes = new Set();
+  const wrapLongitude = (lon) => ((lon + 540) % 360) - 180;
+  const clampLatitude = (lat) => Math.min(90, Math.max(-90, lat));
+
+  for (const lat of [latitude - latDelta, latitude + latDelta]) {
+    for (const lon of [longitude - lonDelta, longitude + lonDelta]) {
+      prefixes.add(encodeGeohash(clampLatitude(lat), wrapLongitude(lon), precision));
+    }
+  }
+
+  return [...prefixes];
+}
+
+module.exports = {
+  GEOHASH_PRECISION,
+  PREFIX_END,
+  encodeGeohash,
+  getCellSize,
+  getCoveringPrefixes
+}; 
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * Forecast interpolation helpers
+ *
+ * Forecasts arrive as samples (3-hourly for OpenWeatherMap), so the exact time a
+ * threshold is crossed, and dips between samples, are lost. These helpers turn the
+ * samples into a piecewise-linear temperature curve, adding an estimated dawn minimum
+ * where a night was still cooling when the samples straddle sunrise.
+ */
+const { getSolarElevation } = require('./frost');
+
+// Largest drop (°C) below the neighbouring samples we'll estimate for a dawn minimum
+const MAX_DAWN_DROP = 2;
+
+// Resolution used when searching for sunrise between two samples
+const SUNRISE_SEARCH_STEP = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Find sunrise between two times, if any
+ * @param {number} start - ms since epoch
+ * @param {number} end - ms since epoch
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {number|null} Sunrise time in ms, or null if the sun doesn't rise in the interval
+ */
+function findSunrise(start, end, latitude, longitude) {
+  let wasDown = getSolarElevation(new Date(start), latitude, longitude) < 0;
+
+  for (let time = start + SUNRISE_SEARCH_STEP; time <= end; time += SUNRISE_SEARCH_STEP) {
+    const isDown = getSolarElevation(new Date(time), latitude, longitude) < 0;
+
+    if (wasDown && !isDown) {
+      return time;
+    }
+    wasDown = isDown;
+  }
+
+  return null;
+}
+
+/**
+ * Build a temperature curve from forecast samples
+ * Temperatures usually keep falling until sunrise, so when the samples either side of
+ * sunrise hide the minimum, the preceding cooling trend is extrapolated to sunrise
+ * (limited to MAX_DAWN_DROP) and inserted as an estimated point.
+ * @param {Array} points - Normalised forecast points, sorted chronologically
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Array} Points including estimated dawn minima (marked `estimated: true`)
+ */
+function buildTemperatureCurve(points, latitude, longitude) {
+  if (points.length < 3 || typeof latitude !== 'number' || typeof longitude !== 'number') {
+    return points.slice();
+  }
+
+  const curve = [];
+
+  for (let i = 0; i < points.length; i++) {
+    const current = points[i];
+    const previous = points[i - 1];
+    const next = points[i + 1];
+
+    curve.push(current);
+
+    // Only nights that were still cooling into this interval
+    if (!previous || !next || current.temperature >= previous.temperature) continue;
+
+    const sunrise = findSunrise(current.time, next.time, latitude, longitude);
+    if (!sunrise || sunrise === next.time) continue;
+
+    const coolingRate = (current.temperature - previous.temperature) / (current.time - previous.time);
+    const extrapolated = current.temperature + coolingRate * (sunrise - current.time);
+    const lowerSample = Math.min(current.temperature, next.temperature);
+    const dawnTemp = Math.max(extrapolated, lowerSample - MAX_DAWN_DROP);
+
+    // Only worth adding if it is colder than straight-line interpolation would give
+    if (dawnTemp < lowerSample) {
+      curve.push({
+        ...current,
+        time: sunrise,
+        temperature: Math.round(dawnTemp * 10) / 10,
+        estimated: true
+      });
+    }
+  }
+
+  return curve;
+}
+
+/**
+ * Linearly interpolate the time at which the temperature reaches a value between two points
+ * @param {Object} a - Earlier point
+ * @param {Object} b - Later point
+ * @param {number} temperature
+ * @returns {number} Time in ms
+ */
+function interpolateTime(a, b, temperature) {
+  if (b.temperature === a.temperature) {
+    return a.time;
+  }
+
+  const fraction = (temperature - a.temperature) / (b.temperature - a.temperature);
+  return a.time + Math.min(1, Math.max(0, fraction)) * (b.time - a.time);
+}
+
+/**
+ * Find the first spell where the curve is at or below the threshold
+ * @param {Array} curve - Output of buildTemperatureCurve
+ * @param {number} threshold
+ * @returns {Object|null} { start, end, hours, low, lowTime } with Date times (end is null if
+ *   the spell runs past the end of the forecast), or null if the curve never reaches the threshold
+ */
+function findSpellBelow(curve, threshold) {
+  const startIndex = curve.findIndex(point => point.temperature <= threshold);
+  if (startIndex === -1) return null;
+
+  const start = startIndex === 0 ?
+    curve[0].time :
+    interpolateTime(curve[startIndex - 1], curve[startIndex], threshold);
+
+  let end = null;
+  let low = curve[startIndex];
+
+  for (let i = startIndex + 1; i < curve.length; i++) {
+    if (curve[i].temperature > threshold) {
+      end = interpolateTime(curve[i - 1], curve[i], threshold);
+      break;
+    }
+    if (curve[i].temperature < low.temperature) {
+      low = curve[i];
+    }
+  }
+
+  const spellEnd = end !== null ? end : curve[curve.length - 1].time;
+
+  return {
+    start: new Date(start),
+    end: end !== null ? new Date(end) : null,
+    hours: Math.round((spellEnd - start) / (60 * 60 * 1000) * 10) / 10,
+    low: low.temperature,
+    lowTime: new Date(low.time)
+  };
+}
+
+/**
+ * Find the lowest point of the curve within a time window
+ * @param {Array} curve - Output of buildTemperatureCurve
+ * @param {number} from - ms since epoch
+ * @param {number} to - ms since epoch
+ * @returns {Object|null} Lowest point, or null if the window has no points
+ */
+function findLowest(curve, from, to) {
+  let lowest = null;
+
+  for (const point of curve) {
+    if (point.time < from || point.time > to) continue;
+    if (!lowest || point.temperature < lowest.temperature) {
+      lowest = point;
+    }
+  }
+
+  return lowest;
+}
+
+module.exports = {
+  buildTemperatureCurve,
+  interpolateTime,
+  findSpellBelow,
+  findLowest
+}; 
\ No newline at end of file
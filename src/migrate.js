@@ -0,0 +1,182 @@
+/**
+ * Versioned schema migrations
+ *
+ * Migrations live in src/migrations as numbered files (e.g. 002_add_column.js) that
+ * export up(db) and down(db). Applied versions are recorded in the schema_version
+ * table, and each migration runs in its own transaction so a failure leaves the
+ * database at the last good version.
+ *
+ * Migrations that rebuild tables to change constraints export disableForeignKeys: true.
+ * Foreign keys are then switched off while they run (dropping a parent table would
+ * otherwise cascade) and checked before the transaction commits.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Load every migration, ordered by version
+ * @returns {Array<Object>} { version, name, up, down }
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1]),
+      name: match[2],
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Create the schema_version table if it is missing
+ * @param {Object} db - better-sqlite3 database
+ */
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Get the schema version the database is at
+ * @param {Object} db - better-sqlite3 database
+ * @returns {number} Highest applied version, or 0 for a new database
+ */
+function getCurrentVersion(db) {
+  ensureVersionTable(db);
+  return db.prepare('SELECT MAX(version) as version FROM schema_version').get().version || 0;
+}
+
+/**
+ * List every migration and whether it has been applied
+ * @param {Object} db - better-sqlite3 database
+ * @returns {Array<Object>} { version, name, appliedAt } where appliedAt is null if pending
+ */
+function getMigrationStatus(db) {
+  ensureVersionTable(db);
+  const applied = new Map(db.prepare('SELECT * FROM schema_version').all().map(row => [row.version, row]));
+
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: applied.get(version)?.applied_at || null
+  }));
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} target - Version to migrate up to (defaults to the latest)
+ * @returns {Array<Object>} Migrations applied
+ */
+function migrate(db, target = Infinity) {
+  const current = getCurrentVersion(db);
+  const pending = loadMigrations().filter(m => m.version > current && m.version <= target);
+  const record = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+
+  for (const migration of pending) {
+    runInTransaction(db, migration, () => {
+      migration.up(db);
+      record.run(migration.version, migration.name);
+    });
+    console.log(`Applied migration ${formatMigration(migration)}`);
+  }
+
+  return pending;
+}
+
+/**
+ * Undo the most recently applied migrations
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} steps - How many migrations to undo
+ * @returns {Array<Object>} Migrations rolled back
+ */
+function rollback(db, steps = 1) {
+  ensureVersionTable(db);
+  const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+  const applied = db.prepare('SELECT version FROM schema_version ORDER BY version DESC LIMIT ?').all(steps);
+  const remove = db.prepare('DELETE FROM schema_version WHERE version = ?');
+  const rolledBack = [];
+
+  for (const { version } of applied) {
+    const migration = migrations.get(version);
+
+    if (!migration) {
+      throw new Error(`Migration ${version} has been applied but its file is missing`);
+    }
+
+    runInTransaction(db, migration, () => {
+      migration.down(db);
+      remove.run(version);
+    });
+    console.log(`Rolled back migration ${formatMigration(migration)}`);
+    rolledBack.push(migration);
+  }
+
+  return rolledBack;
+}
+
+/**
+ * Run one migration step in a transaction, switching foreign keys off if it asks
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} migration
+ * @param {Function} step - Work to do inside the transaction
+ */
+function runInTransaction(db, migration, step) {
+  if (!migration.disableForeignKeys) {
+    db.transaction(step)();
+    return;
+  }
+
+  // The pragma is a no-op inside a transaction, so it has to wrap it
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+
+  try {
+    db.transaction(() => {
+      step();
+
+      const violations = db.pragma('foreign_key_check');
+      if (violations.length) {
+        throw new Error(`Migration ${formatMigration(migration)} broke ${violations.length} foreign key(s), e.g. in ${violations[0].table}`);
+      }
+    })();
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+}
+
+/**
+ * Format a migration for logs, e.g. "002_notification_additional_data"
+ * @param {Object} migration
+ * @returns {string}
+ */
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+module.exports = {
+  loadMigrations,
+  getCurrentVersion,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  formatMigration
+}; 
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * Initial schema
+ *
+ * The schema as it stood when versioned migrations were introduced. Databases created
+ * by earlier versions were kept up to date by adding missing columns at startup, so
+ * this migration does the same to bring any of them in line before later migrations run.
+ */
+
+/**
+ * Add a column to an existing table if it is missing
+ * @param {Object} db - better-sqlite3 database
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition - Column type and constraints
+ */
+function ensureColumn(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added ${column} column to ${table} table`);
+  }
+}
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function up(db) {
+  // Users table
+  // A "user" is the Telegram chat that owns locations: a person's private chat, or a group
+  // chat (chat_type group or supergroup) whose title is kept in first_name
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY,
+      telegram_id TEXT UNIQUE NOT NULL,
+      chat_type TEXT,
+      username TEXT,
+      first_name TEXT,
+      last_name TEXT,
+      temp_threshold REAL,
+      timezone TEXT,
+      quiet_start TEXT,
+      quiet_end TEXT,
+      quiet_urgent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  ensureColumn(db, 'users', 'chat_type', 'TEXT');
+  ensureColumn(db, 'users', 'temp_threshold', 'REAL');
+  ensureColumn(db, 'users', 'timezone', 'TEXT');
+  ensureColumn(db, 'users', 'quiet_start', 'TEXT');
+  ensureColumn(db, 'users', 'quiet_end', 'TEXT');
+  ensureColumn(db, 'users', 'quiet_urgent', 'TEXT');
+  console.log('Users table initialized');
+
+  // Locations table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS locations (
+      id INTEGER PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      temp_threshold REAL,
+      weather_provider TEXT,
+      invite_code TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(user_id, name)
+    )
+  `);
+  ensureColumn(db, 'locations', 'temp_threshold', 'REAL');
+  ensureColumn(db, 'locations', 'weather_provider', 'TEXT');
+  ensureColumn(db, 'locations', 'invite_code', 'TEXT');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_locations_invite_code ON locations(invite_code)');
+  console.log('Locations table initialized');
+
+  // Location members table (everyone who gets alerts for a location, including its owner)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS location_members (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(location_id, user_id)
+    )
+  `);
+
+  // Locations created before sharing existed are owned by their user
+  db.exec(`
+    INSERT OR IGNORE INTO location_members (location_id, user_id, role)
+    SELECT id, user_id, 'owner' FROM locations
+  `);
+  console.log('Location members table initialized');
+
+  // Plants table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS plants (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      name TEXT NOT NULL COLLATE NOCASE,
+      hardiness TEXT NOT NULL,
+      min_temp REAL NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE CASCADE,
+      UNIQUE(location_id, name)
+    )
+  `);
+  console.log('Plants table initialized');
+
+  // Frost episodes table (state is warned, freezing or recovering while open, clear once ended)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS frost_episodes (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      state TEXT NOT NULL,
+      forecast_low REAL,
+      clear_since TIMESTAMP,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ended_at TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id)
+    )
+  `);
+  ensureColumn(db, 'frost_episodes', 'clear_since', 'TIMESTAMP');
+  console.log('Frost episodes table initialized');
+
+  // Notifications table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      notification_type TEXT NOT NULL,
+      scheduled_for TIMESTAMP NOT NULL,
+      temperature REAL,
+      forecast_time TIMESTAMP,
+      forecast_low REAL,
+      low_time TIMESTAMP,
+      hours_below REAL,
+      risk_level TEXT,
+      episode_id INTEGER,
+      user_id INTEGER,
+      response TEXT,
+      responded_at TIMESTAMP,
+      sent BOOLEAN DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id)
+    )
+  `);
+  ensureColumn(db, 'notifications', 'forecast_low', 'REAL');
+  ensureColumn(db, 'notifications', 'episode_id', 'INTEGER');
+  ensureColumn(db, 'notifications', 'risk_level', 'TEXT');
+  ensureColumn(db, 'notifications', 'low_time', 'TIMESTAMP');
+  ensureColumn(db, 'notifications', 'hours_below', 'REAL');
+  ensureColumn(db, 'notifications', 'user_id', 'INTEGER');
+  ensureColumn(db, 'notifications', 'response', 'TEXT');
+  ensureColumn(db, 'notifications', 'responded_at', 'TIMESTAMP');
+  console.log('Notifications table initialized');
+
+  // Location mutes table (snoozes and "mute tonight" from notification buttons)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS location_mutes (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      user_id INTEGER,
+      notification_id INTEGER,
+      reason TEXT NOT NULL,
+      muted_until TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE CASCADE
+    )
+  `);
+  ensureColumn(db, 'location_mutes', 'user_id', 'INTEGER');
+  console.log('Location mutes table initialized');
+
+  // Weather cache table
+  // Older caches were keyed on coordinates only; the cache is disposable, so rebuild it
+  const cacheColumns = db.prepare('PRAGMA table_info(weather_cache)').all();
+  if (cacheColumns.length && !cacheColumns.some(c => c.name === 'provider')) {
+    db.exec('DROP TABLE weather_cache');
+    console.log('Dropped weather cache table without provider column');
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS weather_cache (
+      id INTEGER PRIMARY KEY,
+      provider TEXT NOT NULL,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      data TEXT NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(provider, latitude, longitude)
+    )
+  `);
+  console.log('Weather cache table initialized');
+}
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function down(db) {
+  // Children before parents so foreign keys never dangle
+  db.exec(`
+    DROP TABLE IF EXISTS weather_cache;
+    DROP TABLE IF EXISTS location_mutes;
+    DROP TABLE IF EXISTS notifications;
+    DROP TABLE IF EXISTS frost_episodes;
+    DROP TABLE IF EXISTS plants;
+    DROP TABLE IF EXISTS location_members;
+    DROP TABLE IF EXISTS locations;
+    DROP TABLE IF EXISTS users;
+  `);
+}
+
+module.exports = {
+  up,
+  down
+}; 
\ No newline at end of file
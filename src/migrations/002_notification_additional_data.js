@@ -0,0 +1,25 @@
+/**
+ * Store extra data with a notification
+ *
+ * Morning summaries cover several locations, which are kept as JSON alongside the
+ * notification until it is sent.
+ */
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function up(db) {
+  db.exec('ALTER TABLE notifications ADD COLUMN additional_data TEXT');
+}
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function down(db) {
+  db.exec('ALTER TABLE notifications DROP COLUMN additional_data');
+}
+
+module.exports = {
+  up,
+  down
+}; 
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * Cascading deletes
+ *
+ * Deleting a user removes their locations, memberships, mutes and notifications, and
+ * deleting a location removes its members, plants, frost episodes, mutes and
+ * notification history. SQLite can't change a foreign key in place, so each table is
+ * rebuilt with the new constraints and its rows copied across.
+ */
+
+// Tables after this migration, in an order where parents come before children
+const CASCADING_TABLES = {
+  locations: `
+    CREATE TABLE locations (
+      id INTEGER PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      temp_threshold REAL,
+      weather_provider TEXT,
+      invite_code TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, name)
+    )
+  `,
+  location_members: `
+    CREATE TABLE location_members (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(location_id, user_id)
+    )
+  `,
+  frost_episodes: `
+    CREATE TABLE frost_episodes (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      state TEXT NOT NULL,
+      forecast_low REAL,
+      clear_since TIMESTAMP,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ended_at TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE CASCADE
+    )
+  `,
+  notifications: `
+    CREATE TABLE notifications (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      notification_type TEXT NOT NULL,
+      scheduled_for TIMESTAMP NOT NULL,
+      temperature REAL,
+      forecast_time TIMESTAMP,
+      forecast_low REAL,
+      low_time TIMESTAMP,
+      hours_below REAL,
+      risk_level TEXT,
+      episode_id INTEGER,
+      user_id INTEGER,
+      response TEXT,
+      responded_at TIMESTAMP,
+      sent BOOLEAN DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      additional_data TEXT,
+      FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE CASCADE,
+      FOREIGN KEY (episode_id) REFERENCES frost_episodes(id) ON DELETE SET NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `,
+  location_mutes: `
+    CREATE TABLE location_mutes (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      user_id INTEGER,
+      notification_id INTEGER,
+      reason TEXT NOT NULL,
+      muted_until TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE SET NULL
+    )
+  `
+};
+
+// Tables as they were before this migration
+const PREVIOUS_TABLES = {
+  locations: `
+    CREATE TABLE locations (
+      id INTEGER PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      temp_threshold REAL,
+      weather_provider TEXT,
+      invite_code TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(user_id, name)
+    )
+  `,
+  location_members: `
+    CREATE TABLE location_members (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      UNIQUE(location_id, user_id)
+    )
+  `,
+  frost_episodes: `
+    CREATE TABLE frost_episodes (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      state TEXT NOT NULL,
+      forecast_low REAL,
+      clear_since TIMESTAMP,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ended_at TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id)
+    )
+  `,
+  notifications: `
+    CREATE TABLE notifications (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      notification_type TEXT NOT NULL,
+      scheduled_for TIMESTAMP NOT NULL,
+      temperature REAL,
+      forecast_time TIMESTAMP,
+      forecast_low REAL,
+      low_time TIMESTAMP,
+      hours_below REAL,
+      risk_level TEXT,
+      episode_id INTEGER,
+      user_id INTEGER,
+      response TEXT,
+      responded_at TIMESTAMP,
+      sent BOOLEAN DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      additional_data TEXT,
+      FOREIGN KEY (location_id) REFERENCES locations(id)
+    )
+  `,
+  location_mutes: `
+    CREATE TABLE location_mutes (
+      id INTEGER PRIMARY KEY,
+      location_id INTEGER NOT NULL,
+      user_id INTEGER,
+      notification_id INTEGER,
+      reason TEXT NOT NULL,
+      muted_until TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE CASCADE
+    )
+  `
+};
+
+/**
+ * Recreate a table from a new definition, keeping its rows
+ * @param {Object} db - better-sqlite3 database
+ * @param {string} table
+ * @param {string} definition - CREATE TABLE statement for the table
+ */
+function rebuildTable(db, table, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name).join(', ');
+
+  db.exec(definition.replace(`CREATE TABLE ${table} (`, `CREATE TABLE ${table}_new (`));
+  db.exec(`INSERT INTO ${table}_new (${columns}) SELECT ${columns} FROM ${table}`);
+  db.exec(`DROP TABLE ${table}`);
+  db.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+}
+
+/**
+ * Rebuild every table, then restore the indexes that were dropped with them
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} tables - CREATE TABLE statements by table name
+ */
+function rebuildTables(db, tables) {
+  for (const [table, definition] of Object.entries(tables)) {
+    rebuildTable(db, table, definition);
+  }
+
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_locations_invite_code ON locations(invite_code)');
+}
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function up(db) {
+  // Rows left behind by deletes before users could be removed would fail the new constraints
+  db.exec(`
+    DELETE FROM location_mutes WHERE user_id IS NOT NULL AND user_id NOT IN (SELECT id FROM users);
+    UPDATE location_mutes SET notification_id = NULL WHERE notification_id NOT IN (SELECT id FROM notifications);
+    DELETE FROM notifications WHERE user_id IS NOT NULL AND user_id NOT IN (SELECT id FROM users);
+    UPDATE notifications SET episode_id = NULL WHERE episode_id NOT IN (SELECT id FROM frost_episodes);
+  `);
+
+  rebuildTables(db, CASCADING_TABLES);
+}
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function down(db) {
+  rebuildTables(db, PREVIOUS_TABLES);
+}
+
+module.exports = {
+  disableForeignKeys: true,
+  up,
+  down
+}; 
\ No newline at end of file
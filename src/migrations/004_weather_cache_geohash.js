@@ -0,0 +1,36 @@
+/**
+ * Spatial index for the weather cache
+ *
+ * Cache entries get the geohash of their position, indexed with the provider, so a
+ * lookup only reads entries in the cells around a location.
+ */
+const { encodeGeohash } = require('../geohash');
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function up(db) {
+  db.exec('ALTER TABLE weather_cache ADD COLUMN geohash TEXT');
+
+  const setGeohash = db.prepare('UPDATE weather_cache SET geohash = ? WHERE id = ?');
+  for (const entry of db.prepare('SELECT id, latitude, longitude FROM weather_cache').all()) {
+    setGeohash.run(encodeGeohash(entry.latitude, entry.longitude), entry.id);
+  }
+
+  db.exec('CREATE INDEX idx_weather_cache_geohash ON weather_cache(provider, geohash)');
+}
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_weather_cache_geohash;
+    ALTER TABLE weather_cache DROP COLUMN geohash;
+  `);
+}
+
+module.exports = {
+  up,
+  down
+}; 
\ No newline at end of file
@@ -0,0 +1,33 @@
+/**
+ * Weather API call budget
+ *
+ * Counts calls to each weather provider per minute and per day, so the budget
+ * survives restarts.
+ */
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function up(db) {
+  db.exec(`
+    CREATE TABLE api_usage (
+      provider TEXT NOT NULL,
+      unit TEXT NOT NULL,
+      period TEXT NOT NULL,
+      count INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (provider, unit, period)
+    )
+  `);
+}
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function down(db) {
+  db.exec('DROP TABLE api_usage');
+}
+
+module.exports = {
+  up,
+  down
+}; 
\ No newline at end of file
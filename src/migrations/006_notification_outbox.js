@@ -0,0 +1,40 @@
+/**
+ * Durable notification outbox
+ *
+ * Notifications record each delivery attempt, the last error and when to try again,
+ * and are marked failed once they can't be delivered. Users who block the bot are
+ * marked inactive, which pauses their alerts until they come back.
+ */
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function up(db) {
+  db.exec(`
+    ALTER TABLE notifications ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE notifications ADD COLUMN last_error TEXT;
+    ALTER TABLE notifications ADD COLUMN next_attempt_at TIMESTAMP;
+    ALTER TABLE notifications ADD COLUMN failed_at TIMESTAMP;
+    ALTER TABLE users ADD COLUMN inactive_since TIMESTAMP;
+    CREATE INDEX idx_notifications_pending ON notifications(sent, failed_at);
+  `);
+}
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_notifications_pending;
+    ALTER TABLE users DROP COLUMN inactive_since;
+    ALTER TABLE notifications DROP COLUMN failed_at;
+    ALTER TABLE notifications DROP COLUMN next_attempt_at;
+    ALTER TABLE notifications DROP COLUMN last_error;
+    ALTER TABLE notifications DROP COLUMN attempts;
+  `);
+}
+
+module.exports = {
+  up,
+  down
+}; 
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * Record when a notification was held for quiet hours
+ *
+ * Held notifications say so when they are finally delivered. This used to be worked
+ * out from how long after its creation a notification was scheduled, which also
+ * matched notifications that were resent later. Only notifications still waiting for
+ * their first delivery attempt are backfilled, since a resent one can't be told apart.
+ */
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function up(db) {
+  db.exec(`
+    ALTER TABLE notifications ADD COLUMN held BOOLEAN NOT NULL DEFAULT 0;
+    UPDATE notifications SET held = 1
+    WHERE sent = 0 AND attempts = 0
+      AND (julianday(scheduled_for) - julianday(created_at)) * 24 * 60 * 60 > 60;
+  `);
+}
+
+/**
+ * @param {Object} db - better-sqlite3 database
+ */
+function down(db) {
+  db.exec('ALTER TABLE notifications DROP COLUMN held');
+}
+
+module.exports = {
+  up,
+  down
+}; 
\ No newline at end of file
@@ -0,0 +1,209 @@
+/**
+ * Notification outbox
+ *
+ * Notifications are rows in the database until Telegram accepts them. Sends are spaced
+ * out to stay within Telegram's limits (about 30 messages a second overall, one a
+ * second per chat and 20 a minute per group). A failed send is retried later with
+ * exponential backoff, or after Telegram's retry_after on a 429, during which all
+ * sends pause. A 403 (the user blocked the bot, or it was removed from the group)
+ * marks the user inactive, which pauses their alerts until they use the bot again.
+ * Each send first claims its row, so a notification is never sent twice at once.
+ */
+const { userOps, notificationOps } = require('./db');
+require('dotenv').config();
+
+const TELEGRAM_MESSAGES_PER_SECOND = parseInt(process.env.TELEGRAM_MESSAGES_PER_SECOND || '25');
+const GLOBAL_SEND_INTERVAL = Math.ceil(1000 / TELEGRAM_MESSAGES_PER_SECOND);
+const PRIVATE_CHAT_SEND_INTERVAL = 1000; // 1 message a second
+const GROUP_CHAT_SEND_INTERVAL = 3000; // 20 messages a minute
+
+const MAX_SEND_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '8');
+const SEND_RETRY_BASE_DELAY = 30 * 1000; // 30 seconds, doubling each attempt
+const SEND_RETRY_MAX_DELAY = 60 * 60 * 1000; // 1 hour
+
+// How long a claimed notification is left to its sender before anyone else may try it
+const SEND_LEASE = 5 * 60 * 1000; // 5 minutes
+
+// Next time a message may be sent, overall and per chat
+let nextGlobalSend = 0;
+const nextChatSend = new Map();
+
+// Set when Telegram asks the bot to stop sending for a while
+let pausedUntil = 0;
+
+/**
+ * Check whether sending is paused after a 429
+ * @returns {boolean}
+ */
+function isPaused() {
+  return pausedUntil > Date.now();
+}
+
+/**
+ * Wait until a message may be sent to a chat without exceeding the rate limits
+ * @param {string} chatId - Telegram chat ID (negative for groups)
+ */
+async function waitForSendSlot(chatId) {
+  const now = Date.now();
+  const chatInterval = String(chatId).startsWith('-') ? GROUP_CHAT_SEND_INTERVAL : PRIVATE_CHAT_SEND_INTERVAL;
+  const sendAt = Math.max(now, nextGlobalSend, nextChatSend.get(chatId) || 0);
+
+  nextGlobalSend = sendAt + GLOBAL_SEND_INTERVAL;
+  nextChatSend.set(chatId, sendAt + chatInterval);
+
+  // Forget chats whose slot has passed so the map doesn't grow forever
+  if (nextChatSend.size > 1000) {
+    for (const [id, time] of nextChatSend) {
+      if (time < now) nextChatSend.delete(id);
+    }
+  }
+
+  if (sendAt > now) {
+    await new Promise(resolve => setTimeout(resolve, sendAt - now));
+  }
+}
+
+/**
+ * Work out what a failed send means for the notification
+ * @param {Error} error - Error thrown by Telegraf
+ * @returns {Object} { action, retryAfter } where action is retry, rate_limited, blocked or failed
+ */
+function classifySendError(error) {
+  const code = error.code || error.response?.error_code;
+  const description = error.response?.description || error.message || '';
+
+  if (code === 429) {
+    return { action: 'rate_limited', retryAfter: (error.response?.parameters?.retry_after || 1) * 1000 };
+  }
+
+  // Blocked, deactivated, or removed from the group: nobody is there to read it
+  if (code === 403 || (code === 400 && /chat not found/i.test(description))) {
+    return { action: 'blocked', retryAfter: null };
+  }
+
+  // A group that became a supergroup is followed to its new ID, so try again
+  if (code === 400 && error.response?.parameters?.migrate_to_chat_id) {
+    return { action: 'retry', retryAfter: null };
+  }
+
+  // Anything else Telegram rejects won't succeed on a retry
+  if (code >= 400 && code < 500) {
+    return { action: 'failed', retryAfter: null };
+  }
+
+  // Server errors and network failures
+  return { action: 'retry', retryAfter: null };
+}
+
+/**
+ * Delay before retrying a notification, with jitter
+ * @param {number} attempts - Attempts made so far, including the failed one
+ * @returns {number} Delay in ms
+ */
+function getSendRetryDelay(attempts) {
+  const delay = Math.min(SEND_RETRY_MAX_DELAY, SEND_RETRY_BASE_DELAY * 2 ** (attempts - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Send a notification's message and record the outcome on its row
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} notification - Pending notification row, with the recipient's telegram_id and recipient_id
+ * @param {string} message - Text to send
+ * @param {Object} extra - Telegram send options
+ * @returns {Promise<boolean>} True if the message was delivered, false if it wasn't or is already being sent
+ */
+async function deliverNotification(bot, notification, message, extra = {}) {
+  // While Telegram has asked us to back off, leave it for the outbox worker
+  if (isPaused()) {
+    notificationOps.deferNotification.run(new Date(pausedUntil).toISOString(), notification.id);
+    return false;
+  }
+
+  // A notification sent as soon as it's created can also be picked up by the outbox worker
+  const lease = new Date(Date.now() + SEND_LEASE).toISOString();
+  if (!notificationOps.claimNotification.run(lease, notification.id).changes) {
+    return false;
+  }
+
+  try {
+    await waitForSendSlot(notification.telegram_id);
+    await bot.telegram.sendMessage(notification.telegram_id, message, extra);
+    notificationOps.markNotificationAsSent.run(notification.id);
+    return true;
+  } catch (error) {
+    const attempts = notification.attempts + 1;
+    const { action, retryAfter } = classifySendError(error);
+    const lastError = (error.response?.description || error.message || String(error)).slice(0, 500);
+
+    if (action === 'blocked') {
+      userOps.deactivateUser.run(notification.recipient_id);
+      notificationOps.markNotificationAsFailed.run(lastError, notification.id);
+      notificationOps.failPendingNotificationsForUser.run(lastError, notification.recipient_id);
+      console.warn(`User ${notification.recipient_id} is unreachable (${lastError}); alerts paused until they use the bot again`);
+    } else if (action === 'failed' || attempts >= MAX_SEND_ATTEMPTS) {
+      notificationOps.markNotificationAsFailed.run(lastError, notification.id);
+      console.error(`Giving up on notification ${notification.id} after ${attempts} attempt(s): ${lastError}`);
+    } else {
+      if (action === 'rate_limited') {
+        pausedUntil = Math.max(pausedUntil, Date.now() + retryAfter);
+      }
+
+      const nextAttemptAt = new Date(Date.now() + (retryAfter ?? getSendRetryDelay(attempts)));
+      notificationOps.recordSendFailure.run(lastError, nextAttemptAt.toISOString(), notification.id);
+      console.error(`Error sending notification ${notification.id} (attempt ${attempts}), retrying at ${nextAttemptAt.toISOString()}: ${lastError}`);
+    }
+
+    return false;
+  }
+}
+
+/**
+ * Send a one-off message to a user (e.g. an operator broadcast) within the rate limits
+ * Unlike notifications nothing is stored, so a 429 is waited out here. A 403 marks the
+ * user inactive, as for notifications.
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - User row
+ * @param {string} message - Text to send
+ * @param {Object} extra - Telegram send options
+ * @returns {Promise<boolean>} True if the message was delivered
+ */
+async function sendDirectMessage(bot, user, message, extra = {}) {
+  for (let attempt = 1; attempt <= MAX_SEND_ATTEMPTS; attempt++) {
+    if (isPaused()) {
+      await new Promise(resolve => setTimeout(resolve, pausedUntil - Date.now()));
+    }
+
+    try {
+      await waitForSendSlot(user.telegram_id);
+      await bot.telegram.sendMessage(user.telegram_id, message, extra);
+      return true;
+    } catch (error) {
+      const { action, retryAfter } = classifySendError(error);
+      const lastError = error.response?.description || error.message || String(error);
+
+      if (action === 'rate_limited') {
+        pausedUntil = Math.max(pausedUntil, Date.now() + retryAfter);
+        continue;
+      }
+
+      if (action === 'blocked') {
+        userOps.deactivateUser.run(user.id);
+        notificationOps.failPendingNotificationsForUser.run(lastError.slice(0, 500), user.id);
+      }
+
+      console.error(`Error sending message to user ${user.id}: ${lastError}`);
+      return false;
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  MAX_SEND_ATTEMPTS,
+  isPaused,
+  classifySendError,
+  deliverNotification,
+  sendDirectMessage
+}; 
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * Offline plant catalogue and hardiness ratings
+ * Ratings follow the RHS hardiness scale (H1a–H7); USDA zones and plain-English
+ * labels are translated to the lowest temperature the plant tolerates.
+ */
+
+// Lowest tolerated temperature (°C) for each RHS hardiness rating
+const RHS_RATINGS = {
+  H1a: 15,
+  H1b: 10,
+  H1c: 5,
+  H2: 1,
+  H3: -5,
+  H4: -10,
+  H5: -15,
+  H6: -20,
+  H7: -25
+};
+
+// Range of minimum temperatures a hardiness rating can mean, from USDA zone 1a to H1a
+const MIN_PLANT_TEMP = usdaZoneToMinTemp(1, 'a');
+const MAX_PLANT_TEMP = RHS_RATINGS.H1a;
+
+// Plain-English labels accepted in /plants add, mapped to RHS ratings
+const HARDINESS_LABELS = {
+  'tropical': 'H1b',
+  'tender': 'H1c',
+  'half-hardy': 'H2',
+  'frost-hardy': 'H3',
+  'hardy': 'H4',
+  'very-hardy': 'H5'
+};
+
+// Built-in catalogue of common garden and container plants
+const PLANT_CATALOGUE = [
+  { name: 'Lemon tree', aliases: ['lemon', 'citrus'], hardiness: 'H2' },
+  { name: 'Orange tree', aliases: ['orange'], hardiness: 'H2' },
+  { name: 'Olive tree', aliases: ['olive'], hardiness: 'H4' },
+  { name: 'Fig tree', aliases: ['fig'], hardiness: 'H4' },
+  { name: 'Bay laurel', aliases: ['bay', 'bay tree'], hardiness: 'H4' },
+  { name: 'Apple tree', aliases: ['apple'], hardiness: 'H6' },
+  { name: 'Pear tree', aliases: ['pear'], hardiness: 'H6' },
+  { name: 'Plum tree', aliases: ['plum'], hardiness: 'H6' },
+  { name: 'Peach tree', aliases: ['peach', 'nectarine'], hardiness: 'H4' },
+  { name: 'Grape vine', aliases: ['grape', 'vine'], hardiness: 'H5' },
+  { name: 'Blueberry', aliases: [], hardiness: 'H6' },
+  { name: 'Strawberry', aliases: ['strawberries'], hardiness: 'H6' },
+  { name: 'Tomato', aliases: ['tomatoes'], hardiness: 'H1c' },
+  { name: 'Chilli', aliases: ['chili', 'chillies', 'pepper', 'peppers'], hardiness: 'H1c' },
+  { name: 'Cucumber', aliases: ['cucumbers'], hardiness: 'H1c' },
+  { name: 'Courgette', aliases: ['zucchini', 'courgettes'], hardiness: 'H1c' },
+  { name: 'Squash', aliases: ['pumpkin', 'squashes'], hardiness: 'H2' },
+  { name: 'French bean', aliases: ['french beans', 'green beans'], hardiness: 'H2' },
+  { name: 'Runner bean', aliases: ['runner beans'], hardiness: 'H2' },
+  { name: 'Sweetcorn', aliases: ['corn', 'maize'], hardiness: 'H2' },
+  { name: 'Potato', aliases: ['potatoes'], hardiness: 'H2' },
+  { name: 'Lettuce', aliases: ['salad'], hardiness: 'H2' },
+  { name: 'Broad bean', aliases: ['broad beans', 'fava bean'], hardiness: 'H4' },
+  { name: 'Cabbage', aliases: ['cabbages'], hardiness: 'H5' },
+  { name: 'Leek', aliases: ['leeks'], hardiness: 'H5' },
+  { name: 'Garlic', aliases: [], hardiness: 'H5' },
+  { name: 'Kale', aliases: [], hardiness: 'H7' },
+  { name: 'Basil', aliases: [], hardiness: 'H1c' },
+  { name: 'Coriander', aliases: ['cilantro'], hardiness: 'H3' },
+  { name: 'Parsley', aliases: [], hardiness: 'H5' },
+  { name: 'Rosemary', aliases: [], hardiness: 'H4' },
+  { name: 'Thyme', aliases: [], hardiness: 'H5' },
+  { name: 'Mint', aliases: [], hardiness: 'H7' },
+  { name: 'English lavender', aliases: ['lavender'], hardiness: 'H5' },
+  { name: 'French lavender', aliases: [], hardiness: 'H3' },
+  { name: 'Pelargonium', aliases: ['geranium (pelargonium)'], hardiness: 'H1c' },
+  { name: 'Hardy geranium', aliases: ['cranesbill'], hardiness: 'H7' },
+  { name: 'Fuchsia', aliases: [], hardiness: 'H4' },
+  { name: 'Dahlia', aliases: ['dahlias'], hardiness: 'H3' },
+  { name: 'Canna', aliases: ['canna lily'], hardiness: 'H2' },
+  { name: 'Agapanthus', aliases: [], hardiness: 'H3' },
+  { name: 'Begonia', aliases: ['begonias'], hardiness: 'H1c' },
+  { name: 'Petunia', aliases: ['petunias'], hardiness: 'H2' },
+  { name: 'Marigold', aliases: ['marigolds', 'tagetes'], hardiness: 'H2' },
+  { name: 'Nasturtium', aliases: ['nasturtiums'], hardiness: 'H2' },
+  { name: 'Sweet pea', aliases: ['sweet peas'], hardiness: 'H3' },
+  { name: 'Hydrangea', aliases: [], hardiness: 'H5' },
+  { name: 'Rose', aliases: ['roses'], hardiness: 'H6' },
+  { name: 'Camellia', aliases: [], hardiness: 'H5' },
+  { name: 'Japanese maple', aliases: ['acer'], hardiness: 'H6' },
+  { name: 'Cordyline', aliases: ['cabbage palm'], hardiness: 'H3' },
+  { name: 'Chusan palm', aliases: ['trachycarpus', 'windmill palm'], hardiness: 'H5' },
+  { name: 'Tree fern', aliases: ['dicksonia'], hardiness: 'H4' },
+  { name: 'Hardy banana', aliases: ['musa basjoo', 'banana'], hardiness: 'H3' },
+  { name: 'Aloe vera', aliases: ['aloe'], hardiness: 'H1c' },
+  { name: 'Jade plant', aliases: ['crassula', 'money plant'], hardiness: 'H1c' },
+  { name: 'Echeveria', aliases: ['succulent', 'succulents'], hardiness: 'H2' },
+  { name: 'Bougainvillea', aliases: [], hardiness: 'H1c' },
+  { name: 'Hibiscus (tropical)', aliases: ['tropical hibiscus'], hardiness: 'H1b' }
+];
+
+/**
+ * Convert a USDA zone (e.g. "9" or "9b") to its minimum temperature in °C
+ * Zone 1a starts at -60°F and each half zone adds 5°F
+ * @param {number} zone - Zone number (1–13)
+ * @param {string} subzone - "a", "b" or empty
+ * @returns {number} Minimum temperature in °C, rounded to one decimal
+ */
+function usdaZoneToMinTemp(zone, subzone = '') {
+  const fahrenheit = -60 + (zone - 1) * 10 + (subzone.toLowerCase() === 'b' ? 5 : 0);
+  return Math.round((fahrenheit - 32) * 5 / 9 * 10) / 10;
+}
+
+/**
+ * Parse a hardiness rating typed by the user
+ * Accepts RHS ratings ("H3", "h1c"), USDA zones ("zone 9b", "usda 8", "z7a")
+ * and plain-English labels ("tender", "half-hardy", "hardy")
+ * @param {string} text
+ * @returns {Object|null} { hardiness, minTemp } or null if not recognised
+ */
+function parseHardiness(text) {
+  const value = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!value) return null;
+
+  // Plain-English label
+  const label = HARDINESS_LABELS[value.replace(' ', '-')];
+  if (label) {
+    return { hardiness: label, minTemp: RHS_RATINGS[label] };
+  }
+
+  // RHS rating
+  const rhsMatch = value.match(/^(?:rhs )?(h[1-7][abc]?)$/);
+  if (rhsMatch) {
+    const rating = rhsMatch[1].slice(0, 2).toUpperCase() + rhsMatch[1].slice(2);
+    // Plain "H1" is treated as the hardiest of the H1 sub-ratings
+    const key = rating === 'H1' ? 'H1c' : rating;
+
+    if (RHS_RATINGS[key] !== undefined) {
+      return { hardiness: key, minTemp: RHS_RATINGS[key] };
+    }
+    return null;
+  }
+
+  // USDA zone
+  const usdaMatch = value.match(/^(?:usda ?|zone ?|z)(\d{1,2})([ab]?)$/);
+  if (usdaMatch) {
+    const zone = parseInt(usdaMatch[1]);
+    if (zone < 1 || zone > 13) return null;
+
+    return {
+      hardiness: `USDA ${zone}${usdaMatch[2]}`,
+      minTemp: usdaZoneToMinTemp(zone, usdaMatch[2])
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Look up a plant in the built-in catalogue by name or alias
+ * @param {string} name
+ * @returns {Object|null} Catalogue entry with its minTemp, or null if unknown
+ */
+function findCataloguePlant(name) {
+  const needle = String(name || '').trim().toLowerCase();
+
+  const entry = PLANT_CATALOGUE.find(plant =>
+    plant.name.toLowerCase() === needle || plant.aliases.includes(needle)
+  );
+
+  if (!entry) return null;
+
+  return {
+    ...entry,
+    minTemp: RHS_RATINGS[entry.hardiness]
+  };
+}
+
+/**
+ * Filter plants that will not tolerate the given temperature
+ * @param {Array} plants - Plant rows with `min_temp`
+ * @param {number} temperature - Forecast low in °C
+ * @returns {Array} Plants at risk, most tender first
+ */
+function getPlantsAtRisk(plants, temperature) {
+  if (temperature === null || temperature === undefined) return [];
+
+  return plants
+    .filter(plant => temperature <= plant.min_temp)
+    .sort((a, b) => b.min_temp - a.min_temp);
+}
+
+/**
+ * Format a plant for display, e.g. "Lemon tree (H2, down to 1°C)"
+ * @param {Object} plant - Plant row
+ * @returns {string}
+ */
+function formatPlant(plant) {
+  return `${plant.name} (${plant.hardiness}, down to ${plant.min_temp}°C)`;
+}
+
+module.exports = {
+  RHS_RATINGS,
+  MIN_PLANT_TEMP,
+  MAX_PLANT_TEMP,
+  HARDINESS_LABELS,
+  PLANT_CATALOGUE,
+  parseHardiness,
+  findCataloguePlant,
+  getPlantsAtRisk,
+  formatPlant
+}; 
\ No newline at end of file
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { createForecast } = require('./model');
+require('dotenv').config();
+
+// File or directory holding fixture forecasts
+const WEATHER_FIXTURE_PATH = process.env.WEATHER_FIXTURE_PATH || './fixtures';
+
+/**
+ * Resolve the fixture file for the given coordinates
+ * A directory may hold "<lat>,<lon>.json" files (two decimals) and a "default.json" fallback
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string} Path to the fixture file
+ */
+function resolveFixtureFile(latitude, longitude) {
+  if (!fs.existsSync(WEATHER_FIXTURE_PATH)) {
+    throw new Error(`Weather fixture path not found: ${WEATHER_FIXTURE_PATH}`);
+  }
+
+  if (!fs.statSync(WEATHER_FIXTURE_PATH).isDirectory()) {
+    return WEATHER_FIXTURE_PATH;
+  }
+
+  const specific = path.join(WEATHER_FIXTURE_PATH, `${latitude.toFixed(2)},${longitude.toFixed(2)}.json`);
+  if (fs.existsSync(specific)) {
+    return specific;
+  }
+
+  return path.join(WEATHER_FIXTURE_PATH, 'default.json');
+}
+
+/**
+ * Load a forecast from a local JSON fixture
+ * Points may give an absolute `time` (ISO string or ms) or an `offsetHours` from the
+ * start of the current hour, so fixtures stay useful whenever they are run.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Promise<Object>} Normalised forecast
+ */
+async function fetchForecast(latitude, longitude) {
+  const file = resolveFixtureFile(latitude, longitude);
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const startOfHour = new Date();
+  startOfHour.setMinutes(0, 0, 0);
+
+  const points = (data.points || []).map(point => {
+    const { offsetHours, time, ...values } = point;
+
+    return {
+      dewPoint: null,
+      humidity: null,
+      windSpeed: null,
+      cloudCover: null,
+      precipitation: null,
+      ...values,
+      time: offsetHours !== undefined ?
+        startOfHour.getTime() + offsetHours * 60 * 60 * 1000 :
+        new Date(time).getTime()
+    };
+  });
+
+  return createForecast({
+    provider: 'fixture',
+    latitude,
+    longitude,
+    locationName: data.locationName,
+    points
+  });
+}
+
+module.exports = {
+  name: 'fixture',
+  label: 'Local fixture',
+  fetchForecast
+}; 
\ No newline at end of file
@@ -0,0 +1,65 @@
+const openWeatherMap = require('./openweathermap');
+const openMeteo = require('./openmeteo');
+const metNorway = require('./metnorway');
+const fixture = require('./fixture');
+require('dotenv').config();
+
+// All available weather providers, keyed by name
+const PROVIDERS = {
+  [openWeatherMap.name]: openWeatherMap,
+  [openMeteo.name]: openMeteo,
+  [metNorway.name]: metNorway,
+  [fixture.name]: fixture
+};
+
+// Global default provider from .env
+const DEFAULT_PROVIDER = process.env.WEATHER_PROVIDER || openWeatherMap.name;
+
+if (!PROVIDERS[DEFAULT_PROVIDER]) {
+  throw new Error(`Unknown WEATHER_PROVIDER "${DEFAULT_PROVIDER}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name (defaults to WEATHER_PROVIDER)
+ * @returns {Object} Provider with `name`, `label` and `fetchForecast(latitude, longitude)`
+ */
+function getProvider(name = DEFAULT_PROVIDER) {
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown weather provider: ${name}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Resolve the provider name used for a location
+ * @param {Object} location - Location row with an optional `weather_provider`
+ * @returns {string} Provider name
+ */
+function getLocationProvider(location = {}) {
+  return location.weather_provider && PROVIDERS[location.weather_provider] ?
+    location.weather_provider :
+    DEFAULT_PROVIDER;
+}
+
+/**
+ * List the providers users may pick for their locations
+ * The fixture provider is only offered when it is already the global default
+ * @returns {Array<Object>} Providers
+ */
+function getSelectableProviders() {
+  return Object.values(PROVIDERS).filter(provider =>
+    provider.name !== fixture.name || DEFAULT_PROVIDER === fixture.name
+  );
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  getProvider,
+  getLocationProvider,
+  getSelectableProviders
+}; 
\ No newline at end of file
@@ -0,0 +1,73 @@
+const axios = require('axios');
+const { REQUEST_TIMEOUT, createForecast } = require('./model');
+require('dotenv').config();
+
+// MET Norway requires an identifying User-Agent on every request
+const MET_NORWAY_USER_AGENT = process.env.MET_NORWAY_USER_AGENT ||
+  'SaveMyPlants/1.0 github.com/TheTrueShell/SaveMyPlants';
+
+// MET Norway Locationforecast API (complete variant includes dew point)
+const FORECAST_API_URL = 'https://api.met.no/weatherapi/locationforecast/2.0/complete';
+
+/**
+ * Fetch the forecast from MET Norway
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Promise<Object>} Normalised forecast
+ */
+async function fetchForecast(latitude, longitude) {
+  const response = await axios.get(FORECAST_API_URL, {
+    timeout: REQUEST_TIMEOUT,
+    params: {
+      // MET Norway asks clients to send at most four decimals
+      lat: latitude.toFixed(4),
+      lon: longitude.toFixed(4)
+    },
+    headers: {
+      'User-Agent': MET_NORWAY_USER_AGENT
+    }
+  });
+
+  return normalizeForecast(response.data, latitude, longitude);
+}
+
+/**
+ * Convert a MET Norway response to the internal model
+ * @param {Object} data - Raw API response (GeoJSON)
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Object} Normalised forecast
+ */
+function normalizeForecast(data, latitude, longitude) {
+  const timeseries = data.properties?.timeseries || [];
+
+  const points = timeseries.map(entry => {
+    const details = entry.data?.instant?.details || {};
+    const nextPeriod = entry.data?.next_1_hours || entry.data?.next_6_hours;
+
+    return {
+      time: Date.parse(entry.time),
+      temperature: details.air_temperature,
+      dewPoint: details.dew_point_temperature ?? null,
+      humidity: details.relative_humidity ?? null,
+      windSpeed: details.wind_speed ?? null,
+      cloudCover: details.cloud_area_fraction ?? null,
+      precipitation: nextPeriod?.details?.precipitation_amount ?? null
+    };
+  });
+
+  return createForecast({
+    provider: 'met-norway',
+    latitude,
+    longitude,
+    locationName: null,
+    points
+  });
+}
+
+module.exports = {
+  name: 'met-norway',
+  label: 'MET Norway',
+  fetchForecast,
+  normalizeForecast
+}; 
\ No newline at end of file
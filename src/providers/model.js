@@ -0,0 +1,65 @@
+/**
+ * Internal forecast model shared by all weather providers
+ *
+ * A forecast is:
+ * {
+ *   provider: 'open-meteo',
+ *   latitude, longitude,
+ *   locationName: 'Bristol',
+ *   points: [{
+ *     time,          // ms since epoch
+ *     temperature,   // °C at 2 m
+ *     dewPoint,      // °C, null if unknown
+ *     humidity,      // % relative humidity, null if unknown
+ *     windSpeed,     // m/s at 10 m, null if unknown
+ *     cloudCover,    // % total cloud cover, null if unknown
+ *     precipitation  // mm since the previous point, null if unknown
+ *   }]
+ * }
+ */
+
+require('dotenv').config();
+
+// How long to wait for a provider to respond before the request counts as failed
+const REQUEST_TIMEOUT = parseInt(process.env.WEATHER_API_TIMEOUT || '10000'); // Default 10 seconds
+
+/**
+ * Build a normalised forecast, dropping points without a temperature and sorting chronologically
+ * @param {Object} forecast
+ * @returns {Object} Normalised forecast
+ */
+function createForecast({ provider, latitude, longitude, locationName, points }) {
+  return {
+    provider,
+    latitude,
+    longitude,
+    locationName: locationName || `${latitude.toFixed(2)}, ${longitude.toFixed(2)}`,
+    points: points
+      .filter(point => typeof point.temperature === 'number' && !Number.isNaN(point.time))
+      .sort((a, b) => a.time - b.time)
+  };
+}
+
+/**
+ * Estimate the dew point from temperature and relative humidity (Magnus formula)
+ * @param {number} temperature - °C
+ * @param {number} humidity - % relative humidity
+ * @returns {number|null} Dew point in °C, rounded to one decimal
+ */
+function dewPointFromHumidity(temperature, humidity) {
+  if (typeof temperature !== 'number' || typeof humidity !== 'number' || humidity <= 0) {
+    return null;
+  }
+
+  const a = 17.62;
+  const b = 243.12;
+  const gamma = Math.log(humidity / 100) + (a * temperature) / (b + temperature);
+
+  return Math.round((b * gamma) / (a - gamma) * 10) / 10;
+}
+
+module.exports = {
+  REQUEST_TIMEOUT,
+  createForecast,
+  dewPointFromHumidity
+}; 
\ No newline at end of file
@@ -0,0 +1,64 @@
+const axios = require('axios');
+const { REQUEST_TIMEOUT, createForecast } = require('./model');
+
+// Open-Meteo forecast API (no API key required)
+const FORECAST_API_URL = 'https://api.open-meteo.com/v1/forecast';
+
+/**
+ * Fetch the hourly forecast from Open-Meteo
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Promise<Object>} Normalised forecast
+ */
+async function fetchForecast(latitude, longitude) {
+  const response = await axios.get(FORECAST_API_URL, {
+    timeout: REQUEST_TIMEOUT,
+    params: {
+      latitude,
+      longitude,
+      hourly: 'temperature_2m,dew_point_2m,relative_humidity_2m,wind_speed_10m,cloud_cover,precipitation',
+      wind_speed_unit: 'ms',
+      timeformat: 'unixtime',
+      forecast_days: 5
+    }
+  });
+
+  return normalizeForecast(response.data, latitude, longitude);
+}
+
+/**
+ * Convert an Open-Meteo response to the internal model
+ * @param {Object} data - Raw API response
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Object} Normalised forecast
+ */
+function normalizeForecast(data, latitude, longitude) {
+  const hourly = data.hourly || {};
+  const times = hourly.time || [];
+
+  const points = times.map((time, i) => ({
+    time: time * 1000,
+    temperature: hourly.temperature_2m?.[i],
+    dewPoint: hourly.dew_point_2m?.[i] ?? null,
+    humidity: hourly.relative_humidity_2m?.[i] ?? null,
+    windSpeed: hourly.wind_speed_10m?.[i] ?? null,
+    cloudCover: hourly.cloud_cover?.[i] ?? null,
+    precipitation: hourly.precipitation?.[i] ?? null
+  }));
+
+  return createForecast({
+    provider: 'open-meteo',
+    latitude,
+    longitude,
+    locationName: null,
+    points
+  });
+}
+
+module.exports = {
+  name: 'open-meteo',
+  label: 'Open-Meteo',
+  fetchForecast,
+  normalizeForecast
+}; 
\ No newline at end of file
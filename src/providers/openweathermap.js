@@ -0,0 +1,64 @@
+const axios = require('axios');
+const { REQUEST_TIMEOUT, createForecast, dewPointFromHumidity } = require('./model');
+require('dotenv').config();
+
+const OPENWEATHER_API_KEY = process.env.OPENWEATHER_API_KEY;
+
+// OpenWeatherMap API base URL for 5-day forecast
+const FORECAST_API_URL = 'https://api.openweathermap.org/data/2.5/forecast';
+
+/**
+ * Fetch the 5-day / 3-hour forecast from OpenWeatherMap
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Promise<Object>} Normalised forecast
+ */
+async function fetchForecast(latitude, longitude) {
+  const response = await axios.get(FORECAST_API_URL, {
+    timeout: REQUEST_TIMEOUT,
+    params: {
+      lat: latitude,
+      lon: longitude,
+      appid: OPENWEATHER_API_KEY,
+      units: 'metric', // Use Celsius and m/s
+      cnt: 40 // Max number of timestamps (5 days with 3-hour intervals)
+    }
+  });
+
+  return normalizeForecast(response.data, latitude, longitude);
+}
+
+/**
+ * Convert an OpenWeatherMap forecast response to the internal model
+ * @param {Object} data - Raw API response
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Object} Normalised forecast
+ */
+function normalizeForecast(data, latitude, longitude) {
+  const points = (data.list || []).map(item => ({
+    time: item.dt * 1000,
+    temperature: item.main?.temp,
+    // OpenWeatherMap's free forecast has no dew point, so derive it from humidity
+    dewPoint: dewPointFromHumidity(item.main?.temp, item.main?.humidity),
+    humidity: item.main?.humidity ?? null,
+    windSpeed: item.wind?.speed ?? null,
+    cloudCover: item.clouds?.all ?? null,
+    precipitation: (item.rain?.['3h'] || 0) + (item.snow?.['3h'] || 0)
+  }));
+
+  return createForecast({
+    provider: 'openweathermap',
+    latitude,
+    longitude,
+    locationName: data.city?.name,
+    points
+  });
+}
+
+module.exports = {
+  name: 'openweathermap',
+  label: 'OpenWeatherMap',
+  fetchForecast,
+  normalizeForecast
+}; 
\ No newline at end of file
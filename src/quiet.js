@@ -0,0 +1,119 @@
+/**
+ * Quiet hours (do-not-disturb windows) per user
+ *
+ * During quiet hours, notifications are held and delivered when the window ends.
+ * Urgent notifications (a hard freeze at or below URGENT_FROST_THRESHOLD) break
+ * through according to the user's preference:
+ * - loud: delivered immediately with sound
+ * - silent: delivered immediately without sound (Telegram's disable_notification)
+ * - hold: held like any other notification
+ */
+const { getLocalTime } = require('./timezones');
+require('dotenv').config();
+
+// Forecast temperature (°C) at or below which an alert counts as urgent
+const URGENT_FROST_THRESHOLD = parseFloat(process.env.URGENT_FROST_THRESHOLD || '-5');
+
+const URGENT_MODES = ['loud', 'silent', 'hold'];
+const DEFAULT_URGENT_MODE = 'loud';
+
+// Notification types that can be urgent
+const URGENT_TYPES = ['warning', 'rewarning', 'now_freezing'];
+
+/**
+ * Parse a clock time, e.g. "23:00", "6:30", "0630" or "7"
+ * @param {string} text
+ * @returns {number|null} Minutes after midnight, or null if invalid
+ */
+function parseClockTime(text) {
+  const match = String(text || '').trim().match(/^(\d{1,2})(?::?(\d{2}))?$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2] || '0');
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes after midnight as "HH:MM"
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatClockTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a quiet hours window typed by the user, e.g. "23:00-06:30"
+ * @param {string} text
+ * @returns {Object|null} { start, end } as "HH:MM" strings, or null if invalid
+ */
+function parseQuietHours(text) {
+  const match = String(text || '').trim().match(/^(\S+?)\s*(?:-|–|to)\s*(\S+)$/i);
+  if (!match) return null;
+
+  const start = parseClockTime(match[1]);
+  const end = parseClockTime(match[2]);
+  if (start === null || end === null || start === end) return null;
+
+  return { start: formatClockTime(start), end: formatClockTime(end) };
+}
+
+/**
+ * Work out whether a user is in quiet hours and when the window ends
+ * Windows may wrap past midnight (e.g. 23:00-06:30)
+ * @param {Object} user - Row with `quiet_start` and `quiet_end` ("HH:MM")
+ * @param {string} timezone - User's timezone
+ * @param {Date} now
+ * @returns {Object} { active, endsAt } where endsAt is a Date when active
+ */
+function getQuietHoursStatus(user, timezone, now = new Date()) {
+  const start = parseClockTime(user.quiet_start);
+  const end = parseClockTime(user.quiet_end);
+
+  if (start === null || end === null) {
+    return { active: false, endsAt: null };
+  }
+
+  const local = getLocalTime(now, timezone);
+  const current = local.hour * 60 + local.minute;
+  const active = start < end ?
+    current >= start && current < end :
+    current >= start || current < end;
+
+  if (!active) {
+    return { active: false, endsAt: null };
+  }
+
+  // Minutes from now until the end of the window, counted on the local clock
+  const remaining = (end - current + 24 * 60) % (24 * 60);
+  const endsAt = new Date(now.getTime() + remaining * 60 * 1000);
+  endsAt.setUTCSeconds(0, 0);
+
+  return { active: true, endsAt };
+}
+
+/**
+ * Decide whether a notification is urgent enough to break through quiet hours
+ * @param {Object} notification - Notification row
+ * @returns {boolean}
+ */
+function isUrgent(notification) {
+  if (!URGENT_TYPES.includes(notification.notification_type)) return false;
+
+  const temperatures = [notification.forecast_low, notification.temperature]
+    .filter(value => value !== null && value !== undefined);
+
+  return temperatures.some(value => value <= URGENT_FROST_THRESHOLD);
+}
+
+module.exports = {
+  URGENT_FROST_THRESHOLD,
+  URGENT_MODES,
+  DEFAULT_URGENT_MODE,
+  parseQuietHours,
+  getQuietHoursStatus,
+  isUrgent
+}; 
\ No newline at end of file
@@ -0,0 +1,104 @@
+/**
+ * Retrying failed API requests
+ *
+ * Network errors, timeouts, 429 (rate limited) and 5xx responses are retried with
+ * exponential backoff and full jitter, waiting for the server's Retry-After instead
+ * when it sends one. Other errors (e.g. a bad API key) fail straight away.
+ */
+require('dotenv').config();
+
+const RETRY_ATTEMPTS = parseInt(process.env.WEATHER_API_RETRIES || '3'); // Retries after the first attempt
+const RETRY_BASE_DELAY = parseInt(process.env.WEATHER_API_RETRY_DELAY || '1000'); // Default 1 second
+const RETRY_MAX_DELAY = parseInt(process.env.WEATHER_API_MAX_RETRY_DELAY || '30000'); // Default 30 seconds
+
+// HTTP statuses worth retrying
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (!error.isAxiosError) {
+    return false;
+  }
+
+  // No response means the request timed out or the connection failed
+  return !error.response || RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string} value - Seconds to wait, or an HTTP date
+ * @param {Date} now
+ * @returns {number|null} Delay in ms, or null if missing or invalid
+ */
+function parseRetryAfter(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now.getTime());
+}
+
+/**
+ * Work out how long to wait before the next attempt
+ * @param {Error} error - Error from the failed attempt
+ * @param {number} attempt - Number of the failed attempt, from 0
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(error, attempt) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+
+  // Full jitter spreads out retries from clients that failed at the same time
+  return Math.round(Math.random() * Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt));
+}
+
+/**
+ * Call a function, retrying it while it fails with retryable errors
+ * @param {Function} request - Async function making the request, passed the attempt number
+ * @param {Object} options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {string} options.label - Name used in logs
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} The last error once retries run out, or a non-retryable error
+ */
+async function withRetry(request, { retries = RETRY_ATTEMPTS, label = 'request' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt);
+
+      // Don't hold up a whole weather check for a server that asks for a long pause
+      if (delay > RETRY_MAX_DELAY) {
+        console.warn(`${label} failed (${error.message}); server asked to wait ${Math.round(delay / 1000)}s, giving up`);
+        throw error;
+      }
+
+      console.warn(`${label} failed (${error.message}), retrying in ${delay}ms (retry ${attempt + 1} of ${retries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  isRetryable,
+  parseRetryAfter,
+  getRetryDelay,
+  withRetry
+}; 
\ No newline at end of file
@@ -1,17 +1,42 @@
 const schedule = require('node-schedule');
-const { locationOps, notificationOps } = require('./db');
-const { getForecast, analyzeForecast, findNearbyLocations, cleanupWeatherCache } = require('./weather');
+const { Markup } = require('telegraf');
+const { locationOps, plantOps, notificationOps, memberOps, episodeOps, muteOps } = require('./db');
+const { getForecast, analyzeForecast, cleanupWeatherCache } = require('./weather');
+const { clusterLocations } = require('./clustering');
+const { getEffectiveThreshold, formatThreshold } = require('./thresholds');
+const { getPlantsAtRisk, formatPlant } = require('./plants');
+const { getLocationProvider } = require('./providers');
+const { ALERT_STATES, evaluateEpisode } = require('./episodes');
+const { RISK_LEVELS, RISK_LABELS } = require('./frost');
+const { getUserTimezone, getLocalTime, formatDateTime, formatTime } = require('./timezones');
+const { DEFAULT_URGENT_MODE, getQuietHoursStatus, isUrgent } = require('./quiet');
+const { SNOOZE_HOURS, RESPONSES, RESPONSE_TYPES } = require('./snooze');
+const { isPaused, deliverNotification } = require('./outbox');
 require('dotenv').config();
 
 // Get configuration from .env
 const WEATHER_UPDATE_FREQUENCY = parseInt(process.env.WEATHER_UPDATE_FREQUENCY || '60'); // Default 60 minutes
 const MORNING_NOTIFICATION_HOUR = parseInt(process.env.MORNING_NOTIFICATION_HOUR || '7'); // Default 7am
+const MORNING_CHECK_INTERVAL = 15; // Minutes between checks for users whose morning has started
+const OUTBOX_INTERVAL = 15; // Seconds between runs of the outbox worker
 const WARNING_TIME = parseInt(process.env.WARNING_TIME || '6'); // Default 6 hours
 const GEOCACHE_DISTANCE = parseInt(process.env.GEOCACHE_DISTANCE || '10000'); // Default 10km
 
 // Store active schedules
 const activeSchedules = new Map();
 
+// Set while the outbox worker is sending
+let isProcessingOutbox = false;
+
+// Set while a weather check is running, so an on-demand check doesn't overlap a scheduled one
+let isCheckingWeather = false;
+
+// When each background task last finished, for health checks
+const lastRuns = {
+  weatherCheck: null,
+  outbox: null
+};
+
 /**
  * Initialize all schedulers
  * @param {Object} bot - Telegram bot instance
@@ -23,12 +48,40 @@ function initializeSchedulers(bot) {
   // Schedule morning summaries
   scheduleMorningSummaries(bot);
   
+  // Deliver notifications held back for quiet hours, and retry failed sends, once they are due
+  activeSchedules.set('outbox', schedule.scheduleJob(`*/${OUTBOX_INTERVAL} * * * * *`, () => processAllPendingNotifications(bot)));
+  
   // Schedule cache cleanup
-  schedule.scheduleJob('0 */3 * * *', cleanupWeatherCache); // Every 3 hours
+  activeSchedules.set('cacheCleanup', schedule.scheduleJob('0 */3 * * *', cleanupWeatherCache)); // Every 3 hours
   
   console.log('All schedulers initialized');
 }
 
+/**
+ * Cancel all scheduled jobs, e.g. on shutdown
+ */
+function stopSchedulers() {
+  for (const job of activeSchedules.values()) {
+    job.cancel();
+  }
+  
+  activeSchedules.clear();
+}
+
+/**
+ * Report the state of the scheduled jobs
+ * @returns {Object} { running, jobs, lastRuns } with the next run of each job and when background tasks last finished
+ */
+function getSchedulerStatus() {
+  const toIso = (date) => (date ? new Date(date.getTime()).toISOString() : null);
+  
+  return {
+    running: activeSchedules.size > 0,
+    jobs: Object.fromEntries([...activeSchedules].map(([name, job]) => [name, toIso(job.nextInvocation())])),
+    lastRuns: Object.fromEntries(Object.entries(lastRuns).map(([name, date]) => [name, toIso(date)]))
+  };
+}
+
 /**
  * Schedule regular weather checks for all locations
  * @param {Object} bot - Telegram bot instance
@@ -57,10 +110,10 @@ function scheduleWeatherChecks(bot) {
  * @param {Object} bot - Telegram bot instance
  */
 function scheduleMorningSummaries(bot) {
-  // Run every day at the configured morning hour
-  const job = schedule.scheduleJob(`0 ${MORNING_NOTIFICATION_HOUR} * * *`, async () => {
+  // Run every quarter hour so users in every timezone (including :30 and :45 offsets)
+  // get their summary at the configured morning hour in their local time
+  const job = schedule.scheduleJob(`*/${MORNING_CHECK_INTERVAL} * * * *`, async () => {
     try {
-      console.log('Running morning weather summaries');
       await sendMorningSummaries(bot);
     } catch (error) {
       console.error('Error in morning summaries:', error);
@@ -73,133 +126,154 @@ function scheduleMorningSummaries(bot) {
 /**
  * Check weather for all locations and schedule notifications if needed
  * @param {Object} bot - Telegram bot instance
+ * @returns {Promise<Object|null>} { locations, forecasts } checked, or null if a check was already running
  */
 async function checkAllLocationsWeather(bot) {
+  if (isCheckingWeather) {
+    console.log('Weather check already running, skipping');
+    return null;
+  }
+  
+  isCheckingWeather = true;
+  
+  try {
+    return await checkLocationClusters(bot);
+  } finally {
+    isCheckingWeather = false;
+    lastRuns.weatherCheck = new Date();
+  }
+}
+
+/**
+ * Fetch one forecast per cluster of nearby locations and process each location against it
+ * @param {Object} bot - Telegram bot instance
+ * @returns {Promise<Object>} { locations, forecasts }
+ */
+async function checkLocationClusters(bot) {
   // Get all locations from the database
   const allLocations = locationOps.getAllLocations.all();
   
   if (!allLocations.length) {
     console.log('No locations to check');
-    return;
+    return { locations: 0, forecasts: 0 };
   }
   
-  // Group nearby locations to minimize API calls
-  const checkedCoordinates = new Set();
-  const locationGroups = [];
+  // Partition locations into clusters that share a forecast, per weather provider
+  const locationsByProvider = new Map();
   
   for (const location of allLocations) {
-    const key = `${location.latitude.toFixed(2)},${location.longitude.toFixed(2)}`;
-    
-    // Skip if we've already checked this approximate location
-    if (checkedCoordinates.has(key)) continue;
-    
-    // Find nearby locations
-    const nearby = findNearbyLocations(
-      location.latitude,
-      location.longitude,
-      GEOCACHE_DISTANCE,
-      allLocations
-    );
-    
-    // Mark these coordinates as checked
-    checkedCoordinates.add(key);
-    
-    // Add the group
-    if (nearby.length > 0) {
-      locationGroups.push(nearby);
-    }
+    const provider = getLocationProvider(location);
+    if (!locationsByProvider.has(provider)) locationsByProvider.set(provider, []);
+    locationsByProvider.get(provider).push(location);
   }
   
-  // Process each group
-  for (const group of locationGroups) {
-    // Use the first location as the representative for the API call
-    const repLocation = group[0];
-    
-    try {
-      // Get weather forecast for this representative location
-      const forecast = await getForecast(repLocation.latitude, repLocation.longitude);
+  let forecastCount = 0;
+  
+  for (const [provider, locations] of locationsByProvider) {
+    for (const cluster of clusterLocations(locations, GEOCACHE_DISTANCE)) {
+      forecastCount++;
       
-      // Apply forecast to all locations in the group
-      for (const location of group) {
-        await processLocationForecast(bot, location, forecast);
+      try {
+        // One forecast at the centre of the cluster serves every location in it
+        const forecast = await getForecast(cluster.latitude, cluster.longitude, provider);
+        
+        if (forecast.stale) {
+          console.warn(`Checking ${cluster.locations.length} location(s) against a stale forecast`);
+        }
+        
+        for (const location of cluster.locations) {
+          await processLocationForecast(bot, location, forecast);
+        }
+      } catch (error) {
+        console.error(`Error processing location cluster (${cluster.locations.map(l => l.name).join(', ')}):`, error);
       }
-    } catch (error) {
-      console.error(`Error processing location group (${repLocation.name}):`, error);
     }
   }
+  
+  console.log(
+    `Checked ${allLocations.length} location(s) with ${forecastCount} forecast(s), ` +
+    `saving ${allLocations.length - forecastCount} API call(s) by clustering`
+  );
+  
+  return { locations: allLocations.length, forecasts: forecastCount };
 }
 
 /**
  * Process forecast data for a specific location
+ * Advances the location's frost episode and sends whatever notifications the transition calls for
  * @param {Object} bot - Telegram bot instance
  * @param {Object} location - Location data from the database
  * @param {Object} forecastData - Weather forecast data
  */
 async function processLocationForecast(bot, location, forecastData) {
   try {
-    // Analyze the forecast for freezing conditions
-    const analysis = analyzeForecast(forecastData);
+    // Analyze the forecast against this location's effective threshold
+    const analysis = analyzeForecast(forecastData, getEffectiveThreshold(location), getUserTimezone(location));
     
-    // Get latest warning for this location (to detect when to send "all clear")
-    const latestWarning = notificationOps.getLatestWarningForLocation.get(location.id);
+    // Work out the next alert state from the open episode (if any)
+    const episode = episodeOps.getOpenEpisodeForLocation.get(location.id);
+    const transition = evaluateEpisode(episode || null, analysis);
+    let episodeId = episode?.id || null;
     
-    // Check if we should send a warning notification
-    if (analysis.willFreezeSoon && !analysis.isBelowFreezing) {
-      // Schedule a warning notification for now
-      const notification = {
-        locationId: location.id,
-        notificationType: 'warning',
-        scheduledFor: new Date().toISOString(),
-        temperature: analysis.freezingForecast?.main?.temp,
-        forecastTime: analysis.freezingTime?.toISOString()
-      };
-      
-      // Add to database
-      const result = notificationOps.addNotification.run(notification);
-      
-      // Send immediately
-      if (result.lastInsertRowid) {
-        await sendNotification(bot, result.lastInsertRowid);
-      }
+    if (transition.newEpisode) {
+      // The next frost spell after recovering is an episode of its own
+      episodeOps.closeEpisode.run(episode.id);
     }
     
-    // Check if we should send a "now freezing" notification
-    if (analysis.isBelowFreezing) {
-      // Schedule a "now freezing" notification for now
-      const notification = {
+    if ((!episode || transition.newEpisode) && transition.state !== ALERT_STATES.CLEAR) {
+      // Start a new frost episode
+      const result = episodeOps.openEpisode.run({
         locationId: location.id,
-        notificationType: 'now_freezing',
-        scheduledFor: new Date().toISOString(),
-        temperature: analysis.currentTemp,
-        forecastTime: new Date().toISOString()
-      };
-      
-      // Add to database
-      const result = notificationOps.addNotification.run(notification);
-      
-      // Send immediately
-      if (result.lastInsertRowid) {
-        await sendNotification(bot, result.lastInsertRowid);
-      }
+        state: transition.state,
+        forecastLow: transition.forecastLow
+      });
+      episodeId = result.lastInsertRowid;
+    } else if (episode && transition.state === ALERT_STATES.CLEAR) {
+      episodeOps.closeEpisode.run(episode.id);
+    } else if (episode) {
+      episodeOps.updateEpisode.run({
+        id: episode.id,
+        state: transition.state,
+        forecastLow: transition.forecastLow,
+        clearSince: transition.clearSince
+      });
     }
     
-    // Check if we should send an "all clear" notification
-    if (analysis.allClear && latestWarning && !latestWarning.sent) {
-      // Schedule an "all clear" notification for now
-      const notification = {
-        locationId: location.id,
-        notificationType: 'all_clear',
-        scheduledFor: new Date().toISOString(),
-        temperature: analysis.currentTemp,
-        forecastTime: new Date().toISOString()
-      };
-      
-      // Add to database
-      const result = notificationOps.addNotification.run(notification);
+    if (episode?.state !== transition.state) {
+      console.log(
+        `Alert state for ${location.name}: ${episode?.state || ALERT_STATES.CLEAR} -> ${transition.state}` +
+        (transition.newEpisode ? ' (new frost episode)' : '')
+      );
+    }
+    
+    // Once plants are protected, a worsening forecast doesn't need another warning
+    const isProtected = episodeId && notificationOps.getProtectedResponseForEpisode.get(episodeId);
+    const subscribers = transition.notifications.length ? memberOps.getMembersForLocation.all(location.id) : [];
+    
+    for (const notificationType of transition.notifications) {
+      if (notificationType === 'rewarning' && isProtected) {
+        console.log(`Skipping rewarning for ${location.name}: plants marked protected`);
+        continue;
+      }
       
-      // Send immediately
-      if (result.lastInsertRowid) {
-        await sendNotification(bot, result.lastInsertRowid);
+      // Fan the notification out to everyone subscribed to the location
+      for (const subscriber of subscribers) {
+        // Nothing is sent while the subscriber has snoozed or muted the location
+        const mute = muteOps.getActiveMuteForLocation.get(location.id, subscriber.user_id);
+        if (mute) {
+          console.log(`Skipping ${notificationType} for ${location.name} to user ${subscriber.user_id}: muted until ${mute.muted_until}`);
+          continue;
+        }
+        
+        // Add to database
+        const result = notificationOps.addNotification.run(
+          buildNotification(notificationType, location, analysis, episodeId, subscriber.user_id)
+        );
+        
+        // Send immediately
+        if (result.lastInsertRowid) {
+          await sendNotification(bot, result.lastInsertRowid);
+        }
       }
     }
   } catch (error) {
@@ -208,26 +282,88 @@ async function processLocationForecast(bot, location, forecastData) {
 }
 
 /**
- * Send morning summaries for all locations
+ * Build the database row for a frost notification
+ * @param {string} notificationType - warning, rewarning, now_freezing or all_clear
+ * @param {Object} location - Location data from the database
+ * @param {Object} analysis - Result of analyzeForecast
+ * @param {number|null} episodeId - Frost episode the notification belongs to
+ * @param {number} userId - User the notification is sent to
+ * @returns {Object} Parameters for notificationOps.addNotification
+ */
+function buildNotification(notificationType, location, analysis, episodeId, userId) {
+  const now = new Date().toISOString();
+  const notification = {
+    locationId: location.id,
+    userId,
+    notificationType,
+    scheduledFor: now,
+    temperature: analysis.currentTemp,
+    forecastTime: now,
+    forecastLow: null,
+    lowTime: null,
+    hoursBelow: null,
+    riskLevel: null,
+    episodeId,
+    additionalData: null
+  };
+  
+  switch (notificationType) {
+    case 'warning':
+    case 'rewarning':
+      notification.temperature = analysis.freezingForecast?.temperature;
+      notification.forecastTime = analysis.freezingTime?.toISOString();
+      notification.forecastLow = analysis.freezingLow;
+      notification.lowTime = analysis.freezingLowTime?.toISOString() || null;
+      notification.hoursBelow = analysis.hoursBelowThreshold;
+      notification.riskLevel = analysis.riskLevel;
+      break;
+    
+    case 'now_freezing':
+      notification.forecastLow = analysis.freezingLow ?? analysis.currentTemp;
+      notification.lowTime = analysis.freezingLowTime?.toISOString() || null;
+      notification.hoursBelow = analysis.hoursBelowThreshold;
+      notification.riskLevel = RISK_LEVELS.AIR_FROST;
+      break;
+    
+    case 'all_clear':
+      // Frost further ahead in the forecast, which will get its own warning
+      if (analysis.freezingTime) {
+        notification.forecastTime = analysis.freezingTime.toISOString();
+        notification.riskLevel = analysis.riskLevel;
+      }
+      break;
+  }
+  
+  return notification;
+}
+
+/**
+ * Send morning summaries to users whose local morning hour has just started
  * @param {Object} bot - Telegram bot instance
+ * @param {Date} now - Time of this run
  */
-async function sendMorningSummaries(bot) {
-  // Get all locations from the database
-  const allLocations = locationOps.getAllLocations.all();
+async function sendMorningSummaries(bot, now = new Date()) {
+  // Only include locations of subscribers for whom it is now the start of the morning hour
+  const allLocations = memberOps.getAllSubscriptions.all().filter(location => {
+    const local = getLocalTime(now, getUserTimezone(location));
+    return local.hour === MORNING_NOTIFICATION_HOUR && local.minute < MORNING_CHECK_INTERVAL &&
+      !muteOps.getActiveMuteForLocation.get(location.id, location.subscriber_id);
+  });
   
   if (!allLocations.length) {
-    console.log('No locations for morning summaries');
     return;
   }
   
-  // Group by user_id to avoid sending too many messages to the same user
+  console.log('Running morning weather summaries');
+  
+  // Group by subscriber to avoid sending too many messages to the same user
   const locationsByUser = {};
   
   for (const location of allLocations) {
-    if (!locationsByUser[location.user_id]) {
-      locationsByUser[location.user_id] = [];
+    if (!locationsByUser[location.subscriber_id]) {
+      locationsByUser[location.subscriber_id] = [];
     }
-    locationsByUser[location.user_id].push(location);
+    locationsByUser[location.subscriber_id].push(location);
   }
   
   // Process each user's locations
@@ -238,8 +374,8 @@ async function sendMorningSummaries(bot) {
     // Check forecast for each location
     for (const location of userLocations) {
       try {
-        const forecast = await getForecast(location.latitude, location.longitude);
-        const analysis = analyzeForecast(forecast);
+        const forecast = await getForecast(location.latitude, location.longitude, getLocationProvider(location));
+        const analysis = analyzeForecast(forecast, getEffectiveThreshold(location), getUserTimezone(location));
         
         // If it will freeze today, add to the list
         if (analysis.morningWarning) {
@@ -258,10 +394,16 @@ async function sendMorningSummaries(bot) {
       // Add a morning summary notification to the database
       const notification = {
         locationId: freezingLocations[0].location.id, // Use the first location as reference
+        userId: parseInt(userId),
         notificationType: 'morning_summary',
         scheduledFor: new Date().toISOString(),
         temperature: null,
-        forecastTime: null
+        forecastTime: null,
+        forecastLow: null,
+        lowTime: null,
+        hoursBelow: null,
+        riskLevel: null,
+        episodeId: null
       };
       
       // Include data for all freezing locations
@@ -269,8 +411,14 @@ async function sendMorningSummaries(bot) {
         freezingLocations: freezingLocations.map(fl => ({
           locationId: fl.location.id,
           name: fl.location.name,
-          temperature: fl.analysis.freezingForecast?.main?.temp,
-          forecastTime: fl.analysis.freezingTime?.toISOString()
+          temperature: fl.analysis.freezingForecast?.temperature,
+          forecastTime: fl.analysis.freezingTime?.toISOString(),
+          forecastLow: fl.analysis.freezingLow,
+          riskLevel: fl.analysis.riskLevel,
+          plantsAtRisk: getPlantsAtRisk(
+            plantOps.getPlantsForLocation.all(fl.location.id),
+            fl.analysis.freezingLow
+          ).map(plant => plant.name)
         }))
       };
       
@@ -303,31 +451,66 @@ async function sendNotification(bot, notificationId) {
       return;
     }
     
-    // Skip if already sent
-    if (notification.sent) {
+    // Skip if already sent, given up on, or the recipient can't be reached
+    if (notification.sent || notification.failed_at || notification.inactive_since) {
       return;
     }
     
+    // Threshold that applies to this notification's location, and the user's timezone for times
+    const threshold = formatThreshold(getEffectiveThreshold(notification));
+    const timezone = getUserTimezone(notification);
+    
+    // Hold notifications during the user's quiet hours unless they are urgent
+    const quiet = getQuietHoursStatus(notification, timezone);
+    const urgentMode = notification.quiet_urgent || DEFAULT_URGENT_MODE;
+    let silent = false;
+    
+    if (quiet.active) {
+      if (!isUrgent(notification) || urgentMode === 'hold') {
+        notificationOps.rescheduleNotification.run(quiet.endsAt.toISOString(), notificationId);
+        console.log(`Notification held for quiet hours: ${notification.notification_type} for ${notification.location_name}`);
+        return;
+      }
+      
+      silent = urgentMode === 'silent';
+    }
+    
     // Get the message based on notification type
     let message = '';
     
     switch (notification.notification_type) {
       case 'warning':
-        message = `⚠️ Freezing alert! ${notification.location_name} will drop below ${process.env.TEMP_THRESHOLD || 0}°C ` +
+        message = `⚠️ Frost alert for ${notification.location_name}: ${formatRiskLevel(notification, threshold)} ` +
           `in approximately ${WARNING_TIME} hours.\n\n` +
-          `Expected temperature: ${notification.temperature?.toFixed(1)}°C\n` +
-          `Expected time: ${new Date(notification.forecast_time).toLocaleString()}`;
+          `Expected from: ~${formatDateTime(notification.forecast_time, timezone)}` +
+          formatForecastLow(notification, threshold, timezone) +
+          formatGroundFrostNote(notification) +
+          formatPlantsAtRisk(notification);
+        break;
+      
+      case 'rewarning':
+        message = `⚠️ Updated frost alert! It's now expected to get colder at ${notification.location_name}.\n\n` +
+          `Risk: ${formatRiskLevel(notification, threshold)}\n` +
+          `Expected from: ~${formatDateTime(notification.forecast_time, timezone)}` +
+          formatForecastLow(notification, threshold, timezone) +
+          formatGroundFrostNote(notification) +
+          formatPlantsAtRisk(notification);
         break;
       
       case 'now_freezing':
         message = `❄️ It's now freezing at ${notification.location_name}!\n\n` +
-          `Current temperature: ${notification.temperature?.toFixed(1)}°C\n` +
-          `Protect your plants from frost damage!`;
+          `Current temperature: ${notification.temperature?.toFixed(1)}°C` +
+          formatForecastLow(notification, threshold, timezone) +
+          `\n\nProtect your plants from frost damage!` +
+          formatPlantsAtRisk(notification);
         break;
       
       case 'all_clear':
         message = `✅ All clear for ${notification.location_name}!\n\n` +
-          `Temperatures are expected to stay above ${process.env.TEMP_THRESHOLD || 0}°C for the foreseeable future.\n` +
+          (notification.risk_level && notification.risk_level !== RISK_LEVELS.NONE ?
+            `This frost spell is over. More frost is possible from ~${formatDateTime(notification.forecast_time, timezone)}, ` +
+              `and you'll be warned beforehand.\n` :
+            `Temperatures are expected to stay above ${threshold} for the foreseeable future.\n`) +
           `Current temperature: ${notification.temperature?.toFixed(1)}°C`;
         break;
       
@@ -343,10 +526,15 @@ async function sendNotification(bot, notificationId) {
         const { freezingLocations = [] } = additionalData;
         
         message = `🌡️ Morning Frost Alert ☕\n\n` +
-          `The following locations may experience freezing temperatures today:\n\n`;
+          `The following locations may see frost today:\n\n`;
         
         for (const fl of freezingLocations) {
-          message += `- ${fl.name}: ${fl.temperature?.toFixed(1)}°C at ${new Date(fl.forecastTime).toLocaleTimeString()}\n`;
+          message += `- ${fl.name}: ${RISK_LABELS[fl.riskLevel || RISK_LEVELS.AIR_FROST].toLowerCase()}, ` +
+            `${fl.temperature?.toFixed(1)}°C at ${formatTime(fl.forecastTime, timezone)}\n`;
+          
+          if (fl.plantsAtRisk?.length) {
+            message += `  🪴 At risk: ${fl.plantsAtRisk.join(', ')}\n`;
+          }
         }
         
         message += `\nPlease take necessary precautions to protect your plants!`;
@@ -356,36 +544,180 @@ async function sendNotification(bot, notificationId) {
         message = `Weather alert for ${notification.location_name}`;
     }
     
-    // Send the message to the user
-    await bot.telegram.sendMessage(notification.telegram_id, message);
+    if (notification.held) {
+      message += `\n\n🌙 Held during your quiet hours.`;
+    }
     
-    // Mark as sent
-    notificationOps.markNotificationAsSent.run(notificationId);
+    // Send the message to the user, with response buttons on frost alerts
+    const extra = RESPONSE_TYPES.includes(notification.notification_type) ? buildResponseKeyboard(notificationId) : {};
+    if (silent) {
+      extra.disable_notification = true;
+    }
     
-    console.log(`Notification sent: ${notification.notification_type} for ${notification.location_name}`);
+    // The outbox records the attempt, and schedules a retry if it fails
+    if (await deliverNotification(bot, notification, message, extra)) {
+      console.log(`Notification sent: ${notification.notification_type} for ${notification.location_name}`);
+    }
   } catch (error) {
     console.error(`Error sending notification ${notificationId}:`, error);
   }
 }
 
 /**
- * Check for and send any pending notifications
+ * Build the buttons users press to respond to a frost alert
+ * @param {number} notificationId - ID of the notification in the database
+ * @returns {Object} Inline keyboard markup
+ */
+function buildResponseKeyboard(notificationId) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback('Protected ✅', `notif:${RESPONSES.PROTECTED}:${notificationId}`)],
+    [
+      Markup.button.callback(`Snooze ${SNOOZE_HOURS}h`, `notif:${RESPONSES.SNOOZE}:${notificationId}`),
+      Markup.button.callback('Mute tonight', `notif:${RESPONSES.MUTE}:${notificationId}`)
+    ]
+  ]);
+}
+
+/**
+ * Describe a notification's frost risk level
+ * @param {Object} notification - Notification row
+ * @param {string} threshold - Formatted alert threshold
+ * @returns {string} e.g. "air frost likely (below 0°C)"
+ */
+function formatRiskLevel(notification, threshold) {
+  if (notification.risk_level === RISK_LEVELS.GROUND_FROST) {
+    return RISK_LABELS[RISK_LEVELS.GROUND_FROST].toLowerCase();
+  }
+  
+  return `${RISK_LABELS[RISK_LEVELS.AIR_FROST].toLowerCase()} (below ${threshold})`;
+}
+
+/**
+ * Describe the estimated low and how long temperatures stay below the threshold
+ * @param {Object} notification - Notification row
+ * @param {string} threshold - Formatted alert threshold
+ * @param {string} timezone - User's timezone
+ * @returns {string} Message section
+ */
+function formatForecastLow(notification, threshold, timezone) {
+  let section = '';
+  
+  if (notification.forecast_low !== null && notification.forecast_low !== undefined) {
+    section += `\nForecast low: ~${notification.forecast_low.toFixed(1)}°C`;
+    
+    if (notification.low_time) {
+      section += ` around ${formatTime(notification.low_time, timezone)}`;
+    }
+  }
+  
+  if (notification.hours_below) {
+    section += `\nBelow ${threshold} for about ${formatHours(notification.hours_below)}`;
+  }
+  
+  return section;
+}
+
+/**
+ * Format a duration in hours, e.g. "1 hour", "4.5 hours"
+ * @param {number} hours
+ * @returns {string}
+ */
+function formatHours(hours) {
+  const rounded = Math.round(hours * 2) / 2;
+  
+  if (rounded < 1) {
+    return 'less than an hour';
+  }
+  
+  return `${rounded} hour${rounded === 1 ? '' : 's'}`;
+}
+
+/**
+ * Explain ground frost warnings, where the air itself stays above the threshold
+ * @param {Object} notification - Notification row
+ * @returns {string} Message section, or an empty string for other risk levels
+ */
+function formatGroundFrostNote(notification) {
+  if (notification.risk_level !== RISK_LEVELS.GROUND_FROST) {
+    return '';
+  }
+  
+  return `\n\nClear, calm skies can chill the ground to around ${notification.forecast_low?.toFixed(1)}°C ` +
+    `even while the air stays warmer.`;
+}
+
+/**
+ * Build the "plants at risk" section of a notification message
+ * @param {Object} notification - Notification row joined with its location
+ * @returns {string} Message section, or an empty string if no plants are at risk
+ */
+function formatPlantsAtRisk(notification) {
+  const low = notification.forecast_low ?? notification.temperature;
+  const plants = getPlantsAtRisk(plantOps.getPlantsForLocation.all(notification.location_id), low);
+  
+  if (!plants.length) {
+    return '';
+  }
+  
+  return `\n\n🪴 Plants at risk at the forecast low of ${low.toFixed(1)}°C:\n` +
+    plants.map(plant => `- ${formatPlant(plant)}`).join('\n') +
+    `\nCover them or bring them inside.`;
+}
+
+/**
+ * Send a notification again, e.g. one that failed or never arrived
+ * It goes back in the outbox with its attempts reset, so quiet hours and retries apply as usual
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} notificationId - ID of the notification in the database
+ */
+async function resendNotification(bot, notificationId) {
+  notificationOps.requeueNotification.run(new Date().toISOString(), notificationId);
+  await sendNotification(bot, notificationId);
+}
+
+/**
+ * Outbox worker: send pending notifications that are due, including retries of failed sends
  * @param {Object} bot - Telegram bot instance
  */
 async function processAllPendingNotifications(bot) {
+  // Sends are rate limited, so a run can outlast the interval between runs
+  if (isProcessingOutbox) {
+    return;
+  }
+  
+  isProcessingOutbox = true;
+  
   try {
-    // Get all pending notifications
+    // Alerts that couldn't be delivered within a day of being due are out of date
+    const expired = notificationOps.expireStaleNotifications.run('Expired: not delivered within a day of being due');
+    if (expired.changes) {
+      console.warn(`Gave up on ${expired.changes} notification(s) not delivered within a day of being due`);
+    }
+    
+    // Get all pending notifications that are due, including retries
     const pendingNotifications = notificationOps.getPendingNotifications.all();
     
     for (const notification of pendingNotifications) {
+      // Leave the rest for a later run while Telegram has asked us to back off
+      if (isPaused()) {
+        break;
+      }
+      
       await sendNotification(bot, notification.id);
     }
   } catch (error) {
     console.error('Error processing pending notifications:', error);
+  } finally {
+    isProcessingOutbox = false;
+    lastRuns.outbox = new Date();
   }
 }
 
 module.exports = {
   initializeSchedulers,
+  stopSchedulers,
+  getSchedulerStatus,
+  checkAllLocationsWeather,
+  resendNotification,
   processAllPendingNotifications
 }; 
\ No newline at end of file
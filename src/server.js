@@ -0,0 +1,122 @@
+/**
+ * HTTP server for webhook mode
+ *
+ * Behind a reverse proxy, Telegram delivers updates by POSTing them to WEBHOOK_PATH
+ * instead of the bot long polling for them. Requests must carry the secret token the
+ * webhook was registered with (Telegram sends it in X-Telegram-Bot-Api-Secret-Token).
+ * GET /healthz reports whether the database and the scheduled jobs are working.
+ */
+const http = require('http');
+const { db } = require('./db');
+const { getCurrentVersion } = require('./migrate');
+const { getSchedulerStatus } = require('./scheduler');
+require('dotenv').config();
+
+const BOT_MODES = ['polling', 'webhook'];
+const BOT_MODE = process.env.BOT_MODE || 'polling';
+
+// Telegram only accepts these characters in a webhook secret token
+const SECRET_TOKEN_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+const HEALTH_PATH = '/healthz';
+
+/**
+ * Read and check the webhook settings from .env
+ * @returns {Object} { url, path, secretToken, port, host }
+ * @throws {Error} If a setting is missing or invalid
+ */
+function getWebhookConfig() {
+  const { WEBHOOK_DOMAIN, WEBHOOK_SECRET } = process.env;
+  const path = process.env.WEBHOOK_PATH || '/telegram';
+
+  if (!WEBHOOK_DOMAIN) {
+    throw new Error('WEBHOOK_DOMAIN must be set in webhook mode (e.g. https://bot.example.com)');
+  }
+
+  if (!WEBHOOK_SECRET || !SECRET_TOKEN_PATTERN.test(WEBHOOK_SECRET)) {
+    throw new Error('WEBHOOK_SECRET must be set in webhook mode, using only letters, digits, "_" and "-"');
+  }
+
+  if (!path.startsWith('/') || path === HEALTH_PATH) {
+    throw new Error(`WEBHOOK_PATH must start with "/" and can't be ${HEALTH_PATH}`);
+  }
+
+  const domain = /^https?:\/\//.test(WEBHOOK_DOMAIN) ? WEBHOOK_DOMAIN : `https://${WEBHOOK_DOMAIN}`;
+
+  return {
+    url: `${domain.replace(/\/$/, '')}${path}`,
+    path,
+    secretToken: WEBHOOK_SECRET,
+    port: parseInt(process.env.PORT || '3000'),
+    host: process.env.HOST || '0.0.0.0'
+  };
+}
+
+/**
+ * Check the database and scheduled jobs
+ * @returns {Object} Health report, with status "ok" or "error"
+ */
+function getHealth() {
+  const health = {
+    status: 'ok',
+    mode: BOT_MODE,
+    uptime: Math.round(process.uptime()),
+    database: { ok: true },
+    scheduler: getSchedulerStatus()
+  };
+
+  try {
+    db.prepare('SELECT 1').get();
+    health.database.schemaVersion = getCurrentVersion(db);
+  } catch (error) {
+    health.database = { ok: false, error: error.message };
+  }
+
+  if (!health.database.ok || !health.scheduler.running) {
+    health.status = 'error';
+  }
+
+  return health;
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} webhook - Webhook path and secret token, or null to serve only /healthz
+ * @returns {http.Server}
+ */
+function createServer(bot, webhook = null) {
+  const handleUpdate = webhook && bot.webhookCallback(webhook.path, { secretToken: webhook.secretToken });
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === HEALTH_PATH && req.method === 'GET') {
+      const health = getHealth();
+      res.writeHead(health.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(health));
+      return;
+    }
+
+    if (handleUpdate && pathname === webhook.path) {
+      // Telegraf calls this when the request isn't a POST with the right secret token
+      return handleUpdate(req, res, () => {
+        res.writeHead(req.method === 'POST' ? 401 : 405).end();
+      }).catch(error => {
+        // Telegram would keep redelivering an update that fails, so the error is only logged
+        console.error('Error handling webhook update:', error);
+        res.end();
+      });
+    }
+
+    res.writeHead(404).end();
+  });
+}
+
+module.exports = {
+  BOT_MODES,
+  BOT_MODE,
+  getWebhookConfig,
+  getHealth,
+  createServer
+}; 
\ No newline at end of file
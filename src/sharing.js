@@ -0,0 +1,66 @@
+/**
+ * Shared locations
+ *
+ * A location's owner can share it with an invite code, sent as a deep link
+ * (t.me/<bot>?start=join_<code>) or typed with /join <code>. Everyone who joins
+ * becomes a member: they get the location's alerts, worked out once from the
+ * owner's settings, but only the owner can change or remove the location.
+ */
+const crypto = require('crypto');
+
+const MEMBER_ROLES = {
+  OWNER: 'owner',
+  MEMBER: 'member'
+};
+
+// Prefix of /start payloads that join a shared location
+const JOIN_PREFIX = 'join_';
+
+/**
+ * Create a new random invite code
+ * Only uses characters Telegram allows in /start payloads
+ * @returns {string}
+ */
+function createInviteCode() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+/**
+ * Build the deep link that joins a shared location
+ * @param {string} botUsername - The bot's Telegram username
+ * @param {string} code - Invite code
+ * @returns {string}
+ */
+function buildInviteLink(botUsername, code) {
+  return `https://t.me/${botUsername}?start=${JOIN_PREFIX}${code}`;
+}
+
+/**
+ * Extract the invite code from a /start payload or /join argument
+ * @param {string} text - e.g. "join_abc123", "abc123" or a full invite link
+ * @returns {string|null} Invite code, or null if there isn't one
+ */
+function parseInviteCode(text) {
+  const match = String(text || '').trim().match(/(?:start=|^)(?:join_)?([A-Za-z0-9_-]{6,64})$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Name to show for the owner of a shared location
+ * @param {Object} row - Row with `owner_first_name` and `owner_username`
+ * @returns {string}
+ */
+function formatOwnerName(row) {
+  if (row.owner_first_name) return row.owner_first_name;
+  if (row.owner_username) return `@${row.owner_username}`;
+  return 'another user';
+}
+
+module.exports = {
+  MEMBER_ROLES,
+  JOIN_PREFIX,
+  createInviteCode,
+  buildInviteLink,
+  parseInviteCode,
+  formatOwnerName
+}; 
\ No newline at end of file
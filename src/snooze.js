@@ -0,0 +1,61 @@
+/**
+ * Responses to frost notifications
+ *
+ * Warning and freeze messages carry buttons so users can tell the bot what they did:
+ * - protected: plants are covered, so no further re-warnings for this frost episode
+ * - snooze: no notifications for the location for SNOOZE_HOURS
+ * - mute: no notifications for the location until the next local morning
+ */
+const { getLocalTime } = require('./timezones');
+require('dotenv').config();
+
+// Hours a snoozed location stays quiet
+const SNOOZE_HOURS = parseFloat(process.env.SNOOZE_HOURS || '12');
+
+// Local hour at which a location muted for the night starts alerting again
+const MUTE_UNTIL_HOUR = parseInt(process.env.MORNING_NOTIFICATION_HOUR || '7');
+
+// Longest any response silences a location for (muting lasts at most until the next morning)
+const MAX_MUTE_HOURS = Math.max(SNOOZE_HOURS, 24);
+
+const RESPONSES = {
+  PROTECTED: 'protected',
+  SNOOZE: 'snooze',
+  MUTE: 'mute'
+};
+
+// Notification types that carry response buttons
+const RESPONSE_TYPES = ['warning', 'rewarning', 'now_freezing'];
+
+/**
+ * Work out until when a response silences a location
+ * @param {string} response - One of RESPONSES
+ * @param {string} timezone - User's timezone
+ * @param {Date} now
+ * @returns {Date|null} End of the mute, or null if the response doesn't mute the location
+ */
+function getMutedUntil(response, timezone, now = new Date()) {
+  if (response === RESPONSES.SNOOZE) {
+    return new Date(now.getTime() + SNOOZE_HOURS * 60 * 60 * 1000);
+  }
+
+  if (response !== RESPONSES.MUTE) {
+    return null;
+  }
+
+  // Minutes from now until the next MUTE_UNTIL_HOUR on the local clock
+  const local = getLocalTime(now, timezone);
+  const remaining = (MUTE_UNTIL_HOUR * 60 - (local.hour * 60 + local.minute) + 24 * 60) % (24 * 60) || 24 * 60;
+  const until = new Date(now.getTime() + remaining * 60 * 1000);
+  until.setUTCSeconds(0, 0);
+
+  return until;
+}
+
+module.exports = {
+  SNOOZE_HOURS,
+  MAX_MUTE_HOURS,
+  RESPONSES,
+  RESPONSE_TYPES,
+  getMutedUntil
+}; 
\ No newline at end of file
@@ -0,0 +1,68 @@
+require('dotenv').config();
+
+// Global default threshold from .env, used when neither the user nor the location overrides it
+const DEFAULT_TEMP_THRESHOLD = parseFloat(process.env.TEMP_THRESHOLD || '0');
+
+// Allowed range for user-supplied thresholds (°C)
+const MIN_THRESHOLD = -30;
+const MAX_THRESHOLD = 15;
+
+// Values offered by the /threshold inline keyboard picker
+const THRESHOLD_PRESETS = [-5, -3, -2, -1, 0, 1, 2, 3, 5];
+
+/**
+ * Resolve the alert threshold that applies to a location
+ * Precedence: location override, then the most tender plant at the location,
+ * then the owner's threshold, then the .env default
+ * @param {Object} location - Location row, optionally joined with `user_temp_threshold` and `plant_threshold`
+ * @returns {number} Effective threshold in °C
+ */
+function getEffectiveThreshold(location = {}) {
+  if (location.temp_threshold !== null && location.temp_threshold !== undefined) {
+    return location.temp_threshold;
+  }
+
+  if (location.plant_threshold !== null && location.plant_threshold !== undefined) {
+    return location.plant_threshold;
+  }
+
+  if (location.user_temp_threshold !== null && location.user_temp_threshold !== undefined) {
+    return location.user_temp_threshold;
+  }
+
+  return DEFAULT_TEMP_THRESHOLD;
+}
+
+/**
+ * Parse a threshold typed by the user (e.g. "-2", "1.5", "3°C")
+ * @param {string} text
+ * @returns {number|null} The threshold, or null if it is not a valid value
+ */
+function parseThreshold(text) {
+  const match = String(text).trim().match(/^(-?\d+(\.\d+)?)\s*(°?C)?$/i);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  if (value < MIN_THRESHOLD || value > MAX_THRESHOLD) return null;
+
+  return value;
+}
+
+/**
+ * Format a threshold for display in messages
+ * @param {number} threshold
+ * @returns {string}
+ */
+function formatThreshold(threshold) {
+  return `${Number.isInteger(threshold) ? threshold : threshold.toFixed(1)}°C`;
+}
+
+module.exports = {
+  DEFAULT_TEMP_THRESHOLD,
+  MIN_THRESHOLD,
+  MAX_THRESHOLD,
+  THRESHOLD_PRESETS,
+  getEffectiveThreshold,
+  parseThreshold,
+  formatThreshold
+}; 
\ No newline at end of file
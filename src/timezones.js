@@ -0,0 +1,430 @@
+/**
+ * Offline timezone lookup and local-time helpers
+ *
+ * Timezones are inferred from coordinates by picking the nearest reference point
+ * in a built-in table of IANA zones. It is accurate enough for gardens near towns;
+ * users near a border can override it with /timezone. Points far from any
+ * reference (e.g. at sea) fall back to a fixed Etc/GMT offset from the longitude.
+ */
+const geolib = require('geolib');
+require('dotenv').config();
+
+// Zone used for users who have no timezone yet (defaults to the server's own zone)
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Beyond this distance (m) from every reference point, fall back to a longitude offset
+const MAX_LOOKUP_DISTANCE = 1500000;
+
+// Reference points for IANA zones; large zones have several points to cover their extent
+const TIMEZONE_POINTS = [
+  // Europe
+  { zone: 'Europe/London', latitude: 51.51, longitude: -0.13 },
+  { zone: 'Europe/London', latitude: 53.48, longitude: -2.24 },
+  { zone: 'Europe/London', latitude: 55.95, longitude: -3.19 },
+  { zone: 'Europe/London', latitude: 57.48, longitude: -4.22 },
+  { zone: 'Europe/London', latitude: 50.37, longitude: -4.14 },
+  { zone: 'Europe/London', latitude: 54.6, longitude: -5.93 },
+  { zone: 'Europe/Dublin', latitude: 53.35, longitude: -6.26 },
+  { zone: 'Europe/Dublin', latitude: 51.9, longitude: -8.47 },
+  { zone: 'Europe/Dublin', latitude: 53.27, longitude: -9.05 },
+  { zone: 'Europe/Lisbon', latitude: 38.72, longitude: -9.14 },
+  { zone: 'Europe/Lisbon', latitude: 41.15, longitude: -8.61 },
+  { zone: 'Atlantic/Reykjavik', latitude: 64.15, longitude: -21.94 },
+  { zone: 'Atlantic/Canary', latitude: 28.12, longitude: -15.43 },
+  { zone: 'Europe/Madrid', latitude: 40.42, longitude: -3.7 },
+  { zone: 'Europe/Madrid', latitude: 41.39, longitude: 2.17 },
+  { zone: 'Europe/Madrid', latitude: 37.39, longitude: -5.98 },
+  { zone: 'Europe/Madrid', latitude: 43.26, longitude: -2.93 },
+  { zone: 'Europe/Paris', latitude: 48.86, longitude: 2.35 },
+  { zone: 'Europe/Paris', latitude: 45.76, longitude: 4.84 },
+  { zone: 'Europe/Paris', latitude: 43.3, longitude: 5.37 },
+  { zone: 'Europe/Paris', latitude: 44.84, longitude: -0.58 },
+  { zone: 'Europe/Paris', latitude: 48.11, longitude: -1.68 },
+  { zone: 'Europe/Paris', latitude: 48.57, longitude: 7.75 },
+  { zone: 'Europe/Brussels', latitude: 50.85, longitude: 4.35 },
+  { zone: 'Europe/Amsterdam', latitude: 52.37, longitude: 4.9 },
+  { zone: 'Europe/Amsterdam', latitude: 53.22, longitude: 6.57 },
+  { zone: 'Europe/Luxembourg', latitude: 49.61, longitude: 6.13 },
+  { zone: 'Europe/Berlin', latitude: 52.52, longitude: 13.4 },
+  { zone: 'Europe/Berlin', latitude: 53.55, longitude: 9.99 },
+  { zone: 'Europe/Berlin', latitude: 48.14, longitude: 11.58 },
+  { zone: 'Europe/Berlin', latitude: 50.94, longitude: 6.96 },
+  { zone: 'Europe/Berlin', latitude: 51.34, longitude: 12.37 },
+  { zone: 'Europe/Zurich', latitude: 47.38, longitude: 8.54 },
+  { zone: 'Europe/Zurich', latitude: 46.2, longitude: 6.14 },
+  { zone: 'Europe/Vienna', latitude: 48.21, longitude: 16.37 },
+  { zone: 'Europe/Vienna', latitude: 47.27, longitude: 11.39 },
+  { zone: 'Europe/Rome', latitude: 41.9, longitude: 12.5 },
+  { zone: 'Europe/Rome', latitude: 45.46, longitude: 9.19 },
+  { zone: 'Europe/Rome', latitude: 40.85, longitude: 14.27 },
+  { zone: 'Europe/Rome', latitude: 38.12, longitude: 13.36 },
+  { zone: 'Europe/Copenhagen', latitude: 55.68, longitude: 12.57 },
+  { zone: 'Europe/Copenhagen', latitude: 56.16, longitude: 10.2 },
+  { zone: 'Europe/Oslo', latitude: 59.91, longitude: 10.75 },
+  { zone: 'Europe/Oslo', latitude: 60.39, longitude: 5.32 },
+  { zone: 'Europe/Oslo', latitude: 63.43, longitude: 10.4 },
+  { zone: 'Europe/Oslo', latitude: 69.65, longitude: 18.96 },
+  { zone: 'Europe/Stockholm', latitude: 59.33, longitude: 18.07 },
+  { zone: 'Europe/Stockholm', latitude: 57.71, longitude: 11.97 },
+  { zone: 'Europe/Stockholm', latitude: 63.83, longitude: 20.26 },
+  { zone: 'Europe/Stockholm', latitude: 67.86, longitude: 20.23 },
+  { zone: 'Europe/Helsinki', latitude: 60.17, longitude: 24.94 },
+  { zone: 'Europe/Helsinki', latitude: 65.01, longitude: 25.47 },
+  { zone: 'Europe/Tallinn', latitude: 59.44, longitude: 24.75 },
+  { zone: 'Europe/Riga', latitude: 56.95, longitude: 24.11 },
+  { zone: 'Europe/Vilnius', latitude: 54.69, longitude: 25.28 },
+  { zone: 'Europe/Warsaw', latitude: 52.23, longitude: 21.01 },
+  { zone: 'Europe/Warsaw', latitude: 50.06, longitude: 19.94 },
+  { zone: 'Europe/Warsaw', latitude: 54.35, longitude: 18.65 },
+  { zone: 'Europe/Prague', latitude: 50.08, longitude: 14.44 },
+  { zone: 'Europe/Bratislava', latitude: 48.15, longitude: 17.11 },
+  { zone: 'Europe/Budapest', latitude: 47.5, longitude: 19.04 },
+  { zone: 'Europe/Ljubljana', latitude: 46.06, longitude: 14.51 },
+  { zone: 'Europe/Zagreb', latitude: 45.81, longitude: 15.98 },
+  { zone: 'Europe/Belgrade', latitude: 44.79, longitude: 20.45 },
+  { zone: 'Europe/Sarajevo', latitude: 43.86, longitude: 18.41 },
+  { zone: 'Europe/Bucharest', latitude: 44.43, longitude: 26.1 },
+  { zone: 'Europe/Bucharest', latitude: 46.77, longitude: 23.6 },
+  { zone: 'Europe/Sofia', latitude: 42.7, longitude: 23.32 },
+  { zone: 'Europe/Athens', latitude: 37.98, longitude: 23.73 },
+  { zone: 'Europe/Athens', latitude: 40.64, longitude: 22.94 },
+  { zone: 'Europe/Istanbul', latitude: 41.01, longitude: 28.98 },
+  { zone: 'Europe/Istanbul', latitude: 39.93, longitude: 32.86 },
+  { zone: 'Europe/Istanbul', latitude: 38.42, longitude: 27.14 },
+  { zone: 'Europe/Kyiv', latitude: 50.45, longitude: 30.52 },
+  { zone: 'Europe/Kyiv', latitude: 49.84, longitude: 24.03 },
+  { zone: 'Europe/Kyiv', latitude: 46.48, longitude: 30.72 },
+  { zone: 'Europe/Chisinau', latitude: 47.01, longitude: 28.86 },
+  { zone: 'Europe/Minsk', latitude: 53.9, longitude: 27.56 },
+  { zone: 'Europe/Moscow', latitude: 55.76, longitude: 37.62 },
+  { zone: 'Europe/Moscow', latitude: 59.93, longitude: 30.36 },
+  { zone: 'Europe/Moscow', latitude: 56.33, longitude: 44.0 },
+  { zone: 'Europe/Moscow', latitude: 47.24, longitude: 39.7 },
+
+  // Russia and Central Asia
+  { zone: 'Asia/Yekaterinburg', latitude: 56.84, longitude: 60.6 },
+  { zone: 'Asia/Omsk', latitude: 54.99, longitude: 73.37 },
+  { zone: 'Asia/Novosibirsk', latitude: 55.03, longitude: 82.92 },
+  { zone: 'Asia/Krasnoyarsk', latitude: 56.01, longitude: 92.87 },
+  { zone: 'Asia/Irkutsk', latitude: 52.29, longitude: 104.3 },
+  { zone: 'Asia/Yakutsk', latitude: 62.03, longitude: 129.73 },
+  { zone: 'Asia/Vladivostok', latitude: 43.12, longitude: 131.89 },
+  { zone: 'Asia/Magadan', latitude: 59.56, longitude: 150.81 },
+  { zone: 'Asia/Kamchatka', latitude: 53.02, longitude: 158.65 },
+  { zone: 'Asia/Almaty', latitude: 43.24, longitude: 76.95 },
+  { zone: 'Asia/Almaty', latitude: 51.17, longitude: 71.45 },
+  { zone: 'Asia/Tashkent', latitude: 41.3, longitude: 69.24 },
+  { zone: 'Asia/Tbilisi', latitude: 41.72, longitude: 44.79 },
+  { zone: 'Asia/Yerevan', latitude: 40.18, longitude: 44.51 },
+  { zone: 'Asia/Baku', latitude: 40.41, longitude: 49.87 },
+
+  // Middle East and South Asia
+  { zone: 'Asia/Jerusalem', latitude: 31.77, longitude: 35.21 },
+  { zone: 'Asia/Beirut', latitude: 33.89, longitude: 35.5 },
+  { zone: 'Asia/Amman', latitude: 31.95, longitude: 35.93 },
+  { zone: 'Asia/Riyadh', latitude: 24.71, longitude: 46.68 },
+  { zone: 'Asia/Dubai', latitude: 25.2, longitude: 55.27 },
+  { zone: 'Asia/Tehran', latitude: 35.69, longitude: 51.39 },
+  { zone: 'Asia/Kabul', latitude: 34.56, longitude: 69.21 },
+  { zone: 'Asia/Karachi', latitude: 24.86, longitude: 67.01 },
+  { zone: 'Asia/Karachi', latitude: 31.55, longitude: 74.34 },
+  { zone: 'Asia/Kolkata', latitude: 28.61, longitude: 77.21 },
+  { zone: 'Asia/Kolkata', latitude: 19.08, longitude: 72.88 },
+  { zone: 'Asia/Kolkata', latitude: 12.97, longitude: 77.59 },
+  { zone: 'Asia/Kolkata', latitude: 22.57, longitude: 88.36 },
+  { zone: 'Asia/Kathmandu', latitude: 27.72, longitude: 85.32 },
+  { zone: 'Asia/Dhaka', latitude: 23.81, longitude: 90.41 },
+  { zone: 'Asia/Colombo', latitude: 6.93, longitude: 79.86 },
+
+  // East and South-East Asia
+  { zone: 'Asia/Shanghai', latitude: 31.23, longitude: 121.47 },
+  { zone: 'Asia/Shanghai', latitude: 39.9, longitude: 116.41 },
+  { zone: 'Asia/Shanghai', latitude: 30.57, longitude: 104.07 },
+  { zone: 'Asia/Shanghai', latitude: 23.13, longitude: 113.26 },
+  { zone: 'Asia/Shanghai', latitude: 45.8, longitude: 126.53 },
+  { zone: 'Asia/Urumqi', latitude: 43.83, longitude: 87.62 },
+  { zone: 'Asia/Hong_Kong', latitude: 22.32, longitude: 114.17 },
+  { zone: 'Asia/Taipei', latitude: 25.03, longitude: 121.57 },
+  { zone: 'Asia/Seoul', latitude: 37.57, longitude: 126.98 },
+  { zone: 'Asia/Seoul', latitude: 35.18, longitude: 129.08 },
+  { zone: 'Asia/Tokyo', latitude: 35.68, longitude: 139.69 },
+  { zone: 'Asia/Tokyo', latitude: 34.69, longitude: 135.5 },
+  { zone: 'Asia/Tokyo', latitude: 43.06, longitude: 141.35 },
+  { zone: 'Asia/Tokyo', latitude: 33.59, longitude: 130.4 },
+  { zone: 'Asia/Ulaanbaatar', latitude: 47.89, longitude: 106.91 },
+  { zone: 'Asia/Bangkok', latitude: 13.76, longitude: 100.5 },
+  { zone: 'Asia/Ho_Chi_Minh', latitude: 10.82, longitude: 106.63 },
+  { zone: 'Asia/Ho_Chi_Minh', latitude: 21.03, longitude: 105.85 },
+  { zone: 'Asia/Kuala_Lumpur', latitude: 3.14, longitude: 101.69 },
+  { zone: 'Asia/Singapore', latitude: 1.35, longitude: 103.82 },
+  { zone: 'Asia/Jakarta', latitude: -6.21, longitude: 106.85 },
+  { zone: 'Asia/Makassar', latitude: -8.65, longitude: 115.22 },
+  { zone: 'Asia/Manila', latitude: 14.6, longitude: 120.98 },
+
+  // Africa
+  { zone: 'Africa/Casablanca', latitude: 33.57, longitude: -7.59 },
+  { zone: 'Africa/Algiers', latitude: 36.75, longitude: 3.06 },
+  { zone: 'Africa/Tunis', latitude: 36.81, longitude: 10.18 },
+  { zone: 'Africa/Cairo', latitude: 30.04, longitude: 31.24 },
+  { zone: 'Africa/Lagos', latitude: 6.52, longitude: 3.38 },
+  { zone: 'Africa/Accra', latitude: 5.6, longitude: -0.19 },
+  { zone: 'Africa/Dakar', latitude: 14.72, longitude: -17.47 },
+  { zone: 'Africa/Nairobi', latitude: -1.29, longitude: 36.82 },
+  { zone: 'Africa/Addis_Ababa', latitude: 9.03, longitude: 38.74 },
+  { zone: 'Africa/Kinshasa', latitude: -4.44, longitude: 15.27 },
+  { zone: 'Africa/Luanda', latitude: -8.84, longitude: 13.23 },
+  { zone: 'Africa/Harare', latitude: -17.83, longitude: 31.05 },
+  { zone: 'Africa/Windhoek', latitude: -22.56, longitude: 17.07 },
+  { zone: 'Africa/Johannesburg', latitude: -26.2, longitude: 28.05 },
+  { zone: 'Africa/Johannesburg', latitude: -33.92, longitude: 18.42 },
+  { zone: 'Africa/Johannesburg', latitude: -29.86, longitude: 31.02 },
+  { zone: 'Indian/Antananarivo', latitude: -18.88, longitude: 47.51 },
+
+  // North America
+  { zone: 'America/St_Johns', latitude: 47.56, longitude: -52.71 },
+  { zone: 'America/Halifax', latitude: 44.65, longitude: -63.58 },
+  { zone: 'America/Moncton', latitude: 46.09, longitude: -64.78 },
+  { zone: 'America/Toronto', latitude: 43.65, longitude: -79.38 },
+  { zone: 'America/Toronto', latitude: 45.5, longitude: -73.57 },
+  { zone: 'America/Toronto', latitude: 46.81, longitude: -71.21 },
+  { zone: 'America/Toronto', latitude: 45.42, longitude: -75.7 },
+  { zone: 'America/Winnipeg', latitude: 49.9, longitude: -97.14 },
+  { zone: 'America/Regina', latitude: 50.45, longitude: -104.62 },
+  { zone: 'America/Edmonton', latitude: 53.55, longitude: -113.49 },
+  { zone: 'America/Edmonton', latitude: 51.05, longitude: -114.07 },
+  { zone: 'America/Vancouver', latitude: 49.28, longitude: -123.12 },
+  { zone: 'America/Vancouver', latitude: 48.43, longitude: -123.37 },
+  { zone: 'America/Whitehorse', latitude: 60.72, longitude: -135.06 },
+  { zone: 'America/Yellowknife', latitude: 62.45, longitude: -114.37 },
+  { zone: 'America/Anchorage', latitude: 61.22, longitude: -149.9 },
+  { zone: 'America/Anchorage', latitude: 64.84, longitude: -147.72 },
+  { zone: 'America/Juneau', latitude: 58.3, longitude: -134.42 },
+  { zone: 'Pacific/Honolulu', latitude: 21.31, longitude: -157.86 },
+  { zone: 'America/New_York', latitude: 40.71, longitude: -74.01 },
+  { zone: 'America/New_York', latitude: 42.36, longitude: -71.06 },
+  { zone: 'America/New_York', latitude: 38.91, longitude: -77.04 },
+  { zone: 'America/New_York', latitude: 33.75, longitude: -84.39 },
+  { zone: 'America/New_York', latitude: 25.76, longitude: -80.19 },
+  { zone: 'America/New_York', latitude: 35.23, longitude: -80.84 },
+  { zone: 'America/New_York', latitude: 41.5, longitude: -81.69 },
+  { zone: 'America/New_York', latitude: 44.48, longitude: -73.21 },
+  { zone: 'America/Detroit', latitude: 42.33, longitude: -83.05 },
+  { zone: 'America/Indiana/Indianapolis', latitude: 39.77, longitude: -86.16 },
+  { zone: 'America/Kentucky/Louisville', latitude: 38.25, longitude: -85.76 },
+  { zone: 'America/Chicago', latitude: 41.88, longitude: -87.63 },
+  { zone: 'America/Chicago', latitude: 29.76, longitude: -95.37 },
+  { zone: 'America/Chicago', latitude: 32.78, longitude: -96.8 },
+  { zone: 'America/Chicago', latitude: 44.98, longitude: -93.27 },
+  { zone: 'America/Chicago', latitude: 29.95, longitude: -90.07 },
+  { zone: 'America/Chicago', latitude: 39.1, longitude: -94.58 },
+  { zone: 'America/Chicago', latitude: 36.16, longitude: -86.78 },
+  { zone: 'America/Chicago', latitude: 46.88, longitude: -96.79 },
+  { zone: 'America/Denver', latitude: 39.74, longitude: -104.99 },
+  { zone: 'America/Denver', latitude: 40.76, longitude: -111.89 },
+  { zone: 'America/Denver', latitude: 35.08, longitude: -106.65 },
+  { zone: 'America/Denver', latitude: 45.78, longitude: -108.5 },
+  { zone: 'America/Boise', latitude: 43.62, longitude: -116.2 },
+  { zone: 'America/Phoenix', latitude: 33.45, longitude: -112.07 },
+  { zone: 'America/Los_Angeles', latitude: 34.05, longitude: -118.24 },
+  { zone: 'America/Los_Angeles', latitude: 37.77, longitude: -122.42 },
+  { zone: 'America/Los_Angeles', latitude: 47.61, longitude: -122.33 },
+  { zone: 'America/Los_Angeles', latitude: 45.52, longitude: -122.68 },
+  { zone: 'America/Los_Angeles', latitude: 36.17, longitude: -115.14 },
+  { zone: 'America/Los_Angeles', latitude: 38.58, longitude: -121.49 },
+  { zone: 'America/Mexico_City', latitude: 19.43, longitude: -99.13 },
+  { zone: 'America/Monterrey', latitude: 25.69, longitude: -100.32 },
+  { zone: 'America/Tijuana', latitude: 32.51, longitude: -117.04 },
+  { zone: 'America/Hermosillo', latitude: 29.07, longitude: -110.96 },
+  { zone: 'America/Cancun', latitude: 21.16, longitude: -86.85 },
+  { zone: 'America/Guatemala', latitude: 14.63, longitude: -90.51 },
+  { zone: 'America/Costa_Rica', latitude: 9.93, longitude: -84.08 },
+  { zone: 'America/Panama', latitude: 8.98, longitude: -79.52 },
+  { zone: 'America/Havana', latitude: 23.11, longitude: -82.37 },
+  { zone: 'America/Jamaica', latitude: 18.02, longitude: -76.8 },
+  { zone: 'America/Puerto_Rico', latitude: 18.47, longitude: -66.11 },
+
+  // South America
+  { zone: 'America/Bogota', latitude: 4.71, longitude: -74.07 },
+  { zone: 'America/Caracas', latitude: 10.48, longitude: -66.9 },
+  { zone: 'America/Guayaquil', latitude: -0.18, longitude: -78.47 },
+  { zone: 'America/Lima', latitude: -12.05, longitude: -77.04 },
+  { zone: 'America/La_Paz', latitude: -16.5, longitude: -68.15 },
+  { zone: 'America/Santiago', latitude: -33.45, longitude: -70.67 },
+  { zone: 'America/Santiago', latitude: -41.47, longitude: -72.94 },
+  { zone: 'America/Punta_Arenas', latitude: -53.16, longitude: -70.91 },
+  { zone: 'America/Argentina/Buenos_Aires', latitude: -34.6, longitude: -58.38 },
+  { zone: 'America/Argentina/Cordoba', latitude: -31.42, longitude: -64.18 },
+  { zone: 'America/Argentina/Mendoza', latitude: -32.89, longitude: -68.84 },
+  { zone: 'America/Argentina/Ushuaia', latitude: -54.8, longitude: -68.3 },
+  { zone: 'America/Montevideo', latitude: -34.9, longitude: -56.16 },
+  { zone: 'America/Asuncion', latitude: -25.26, longitude: -57.58 },
+  { zone: 'America/Sao_Paulo', latitude: -23.55, longitude: -46.63 },
+  { zone: 'America/Sao_Paulo', latitude: -22.91, longitude: -43.17 },
+  { zone: 'America/Sao_Paulo', latitude: -30.03, longitude: -51.23 },
+  { zone: 'America/Sao_Paulo', latitude: -15.79, longitude: -47.88 },
+  { zone: 'America/Bahia', latitude: -12.97, longitude: -38.5 },
+  { zone: 'America/Recife', latitude: -8.05, longitude: -34.88 },
+  { zone: 'America/Manaus', latitude: -3.12, longitude: -60.02 },
+
+  // Oceania
+  { zone: 'Australia/Perth', latitude: -31.95, longitude: 115.86 },
+  { zone: 'Australia/Darwin', latitude: -12.46, longitude: 130.84 },
+  { zone: 'Australia/Adelaide', latitude: -34.93, longitude: 138.6 },
+  { zone: 'Australia/Brisbane', latitude: -27.47, longitude: 153.03 },
+  { zone: 'Australia/Brisbane', latitude: -19.26, longitude: 146.82 },
+  { zone: 'Australia/Sydney', latitude: -33.87, longitude: 151.21 },
+  { zone: 'Australia/Sydney', latitude: -35.28, longitude: 149.13 },
+  { zone: 'Australia/Melbourne', latitude: -37.81, longitude: 144.96 },
+  { zone: 'Australia/Hobart', latitude: -42.88, longitude: 147.33 },
+  { zone: 'Pacific/Auckland', latitude: -36.85, longitude: 174.76 },
+  { zone: 'Pacific/Auckland', latitude: -41.29, longitude: 174.78 },
+  { zone: 'Pacific/Auckland', latitude: -43.53, longitude: 172.64 },
+  { zone: 'Pacific/Auckland', latitude: -45.88, longitude: 170.5 },
+  { zone: 'Pacific/Fiji', latitude: -18.14, longitude: 178.44 },
+  { zone: 'Pacific/Port_Moresby', latitude: -9.44, longitude: 147.18 }
+];
+
+/**
+ * Check whether a string is a timezone the runtime understands
+ * @param {string} timezone - IANA name, e.g. "Europe/London"
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Normalise a timezone typed by the user to its canonical IANA name
+ * Accepts any capitalisation, e.g. "europe/london" or "utc"
+ * @param {string} text
+ * @returns {string|null} Canonical name, or null if unknown
+ */
+function parseTimezone(text) {
+  const value = String(text || '').trim().replace(/\s+/g, '_');
+  if (!isValidTimezone(value)) return null;
+
+  return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+}
+
+/**
+ * Infer the timezone for a pair of coordinates without any network calls
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string} IANA timezone name
+ */
+function lookupTimezone(latitude, longitude) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  for (const point of TIMEZONE_POINTS) {
+    const distance = geolib.getDistance(
+      { latitude, longitude },
+      { latitude: point.latitude, longitude: point.longitude }
+    );
+
+    if (distance < nearestDistance) {
+      nearest = point;
+      nearestDistance = distance;
+    }
+  }
+
+  if (nearest && nearestDistance <= MAX_LOOKUP_DISTANCE) {
+    return nearest.zone;
+  }
+
+  // Nautical time: Etc/GMT signs are inverted (Etc/GMT-2 is two hours ahead of UTC)
+  const offset = Math.max(-12, Math.min(14, Math.round(longitude / 15)));
+  if (offset === 0) return 'Etc/GMT';
+  return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+/**
+ * Resolve the timezone that applies to a user
+ * @param {Object} user - User row, or any row joined with `user_timezone`
+ * @returns {string} IANA timezone name
+ */
+function getUserTimezone(user = {}) {
+  const timezone = user.timezone || user.user_timezone;
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get the calendar date and clock time of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {Object} { year, month, day, hour, minute }
+ */
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date);
+
+  const value = type => parseInt(parts.find(part => part.type === type).value);
+
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute')
+  };
+}
+
+/**
+ * Check whether two instants fall on the same calendar day in a timezone
+ * @param {Date} a
+ * @param {Date} b
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isSameLocalDay(a, b, timezone) {
+  const first = getLocalTime(a, timezone);
+  const second = getLocalTime(b, timezone);
+
+  return first.year === second.year && first.month === second.month && first.day === second.day;
+}
+
+/**
+ * Format a date and time for messages in the user's timezone
+ * @param {Date|string|number} date
+ * @param {string} timezone
+ * @returns {string}
+ */
+function formatDateTime(date, timezone) {
+  return new Date(date).toLocaleString(undefined, { timeZone: timezone });
+}
+
+/**
+ * Format a clock time for messages in the user's timezone
+ * @param {Date|string|number} date
+ * @param {string} timezone
+ * @returns {string}
+ */
+function formatTime(date, timezone) {
+  return new Date(date).toLocaleTimeString(undefined, { timeZone: timezone });
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  parseTimezone,
+  lookupTimezone,
+  getUserTimezone,
+  getLocalTime,
+  isSameLocalDay,
+  formatDateTime,
+  formatTime
+}; 
\ No newline at end of file
@@ -1,146 +1,293 @@
-const axios = require('axios');
 const geolib = require('geolib');
 const { weatherCacheOps } = require('./db');
+const { DEFAULT_TEMP_THRESHOLD } = require('./thresholds');
+const { DEFAULT_PROVIDER, getProvider } = require('./providers');
+const { RISK_LEVELS, classifyFrostRisk, worstRisk } = require('./frost');
+const { buildTemperatureCurve, interpolateTime, findSpellBelow, findLowest } = require('./interpolation');
+const { DEFAULT_TIMEZONE, isSameLocalDay } = require('./timezones');
+const { PREFIX_END, encodeGeohash, getCoveringPrefixes } = require('./geohash');
+const { withRetry } = require('./retry');
+const { consumeApiCall, cleanupApiUsage } = require('./budget');
 require('dotenv').config();
 
-const OPENWEATHER_API_KEY = process.env.OPENWEATHER_API_KEY;
-const TEMP_THRESHOLD = parseFloat(process.env.TEMP_THRESHOLD || '0');
 const GEOCACHE_DISTANCE = parseInt(process.env.GEOCACHE_DISTANCE || '10000'); // Default 10km
 const GEOCACHE_EXPIRY = parseInt(process.env.GEOCACHE_EXPIRY || '3600000'); // Default 1 hour
+const GEOCACHE_STALE_RETENTION = parseInt(process.env.GEOCACHE_STALE_RETENTION || '86400000'); // Default 24 hours
 
-// OpenWeatherMap API base URL for 5-day forecast
-const FORECAST_API_URL = 'https://api.openweathermap.org/data/2.5/forecast';
+// Cache lookups since the bot started, for /stats
+const cacheStats = {
+  hits: 0,
+  misses: 0
+};
 
 /**
- * Fetches the weather forecast from the API or cache
+ * Find the closest fresh cache entry within GEOCACHE_DISTANCE
+ * Only entries in the geohash cells around the position are read
+ * @param {string} providerName
  * @param {number} latitude
  * @param {number} longitude
+ * @param {boolean} includeExpired - If true, return the most recent entry even if it has expired
+ * @returns {Object|null} Cache row, or null if none is close enough
+ */
+function findNearestCachedForecast(providerName, latitude, longitude, includeExpired = false) {
+  const statement = includeExpired ? weatherCacheOps.getAnyCachedLocationsInCell : weatherCacheOps.getCachedLocationsInCell;
+  let nearest = null;
+  let nearestDistance = Infinity;
+  
+  for (const prefix of getCoveringPrefixes(latitude, longitude, GEOCACHE_DISTANCE)) {
+    const candidates = statement.all({
+      provider: providerName,
+      prefix,
+      prefixEnd: PREFIX_END
+    });
+    
+    for (const candidate of candidates) {
+      const distance = geolib.getDistance(
+        { latitude, longitude },
+        { latitude: candidate.latitude, longitude: candidate.longitude }
+      );
+      
+      if (distance > GEOCACHE_DISTANCE) continue;
+      
+      // Fresh entries are all equally current, so the closest wins; expired ones, the most recent
+      const isBetter = includeExpired && nearest ?
+        Date.parse(candidate.expires_at) > Date.parse(nearest.expires_at) ||
+          (candidate.expires_at === nearest.expires_at && distance < nearestDistance) :
+        distance < nearestDistance;
+      
+      if (isBetter) {
+        nearest = candidate;
+        nearestDistance = distance;
+      }
+    }
+  }
+  
+  return nearest;
+}
+
+/**
+ * Fetch a forecast from a provider, retrying failures within the API call budget
+ * @param {Object} provider
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Promise<Object>} The normalised forecast
+ */
+function fetchWithinBudget(provider, latitude, longitude) {
+  return withRetry(() => {
+    // Every attempt, including retries, counts against the budget
+    const budget = consumeApiCall(provider.name);
+    if (!budget.allowed) {
+      throw new Error(`${provider.label} API call budget for this ${budget.window} is used up`);
+    }
+    
+    return provider.fetchForecast(latitude, longitude);
+  }, { label: `${provider.label} forecast request` });
+}
+
+/**
+ * Fetches the weather forecast from the provider or cache
+ * If the provider can't be reached (or the API call budget is used up), the most recent
+ * cached forecast nearby is returned instead, even if it has expired, flagged with
+ * `stale: true`. Forecasts carry `fetchedAt`, the time they came from the provider.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} providerName - Weather provider to use (defaults to WEATHER_PROVIDER)
  * @param {boolean} forceRefresh - If true, bypass cache
- * @returns {Promise<Object>} The forecast data
+ * @returns {Promise<Object>} The normalised forecast (see providers/model.js)
  */
-async function getForecast(latitude, longitude, forceRefresh = false) {
+async function getForecast(latitude, longitude, providerName = DEFAULT_PROVIDER, forceRefresh = false) {
+  const provider = getProvider(providerName);
+  
   // Check cache first (if not forcing refresh)
   if (!forceRefresh) {
     // First try exact coordinates
-    let cachedData = weatherCacheOps.getWeatherCache.get(latitude, longitude);
+    let cachedData = weatherCacheOps.getWeatherCache.get(provider.name, latitude, longitude);
     
-    // If no exact match, try to find nearby cached locations
+    // If no exact match, use the closest cached location from the same provider
     if (!cachedData) {
-      // Get all cached locations (we should improve this with a spatial index in production)
-      const allCachedLocations = weatherCacheOps.getAllCachedLocations?.get() || [];
-      
-      // Find the closest cached location within the cache distance
-      for (const location of allCachedLocations) {
-        const distance = geolib.getDistance(
-          { latitude, longitude },
-          { latitude: location.latitude, longitude: location.longitude }
-        );
-        
-        if (distance <= GEOCACHE_DISTANCE) {
-          cachedData = location;
-          break;
-        }
-      }
+      cachedData = findNearestCachedForecast(provider.name, latitude, longitude);
     }
     
     // If we found valid cached data, return it
     if (cachedData) {
+      cacheStats.hits++;
       return JSON.parse(cachedData.data);
     }
+    
+    cacheStats.misses++;
   }
   
-  // No valid cache, call the API
+  // No valid cache, call the provider
   try {
-    const response = await axios.get(FORECAST_API_URL, {
-      params: {
-        lat: latitude,
-        lon: longitude,
-        appid: OPENWEATHER_API_KEY,
-        units: 'metric', // Use Celsius
-        cnt: 40 // Max number of timestamps (5 days with 3-hour intervals)
-      }
-    });
+    const forecast = { ...(await fetchWithinBudget(provider, latitude, longitude)), fetchedAt: Date.now() };
     
-    // Cache the response
+    // Cache the normalised forecast
     const expiresAt = new Date(Date.now() + GEOCACHE_EXPIRY).toISOString();
     weatherCacheOps.upsertWeatherCache.run({
+      provider: provider.name,
       latitude,
       longitude,
-      data: JSON.stringify(response.data),
+      geohash: encodeGeohash(latitude, longitude),
+      data: JSON.stringify(forecast),
       expiresAt
     });
     
-    return response.data;
+    return forecast;
   } catch (error) {
-    console.error('Error fetching weather forecast:', error.message);
+    console.error(`Error fetching weather forecast from ${provider.label}:`, error.message);
+    
+    // An old forecast is better than none while the provider is unavailable
+    const staleData = findNearestCachedForecast(provider.name, latitude, longitude, true);
+    if (staleData) {
+      console.warn(`Using stale ${provider.label} forecast for ${latitude},${longitude} (expired ${staleData.expires_at})`);
+      return { ...JSON.parse(staleData.data), stale: true };
+    }
+    
     throw new Error(`Failed to fetch weather forecast: ${error.message}`);
   }
 }
 
+/**
+ * Look up the forecast for a position in the cache, without calling the provider
+ * Falls back to the most recent expired entry nearby, flagged with `stale: true`
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} providerName - Weather provider (defaults to WEATHER_PROVIDER)
+ * @returns {Object|null} The normalised forecast, or null if nothing nearby is cached
+ */
+function getCachedForecast(latitude, longitude, providerName = DEFAULT_PROVIDER) {
+  const provider = getProvider(providerName);
+  const cachedData = weatherCacheOps.getWeatherCache.get(provider.name, latitude, longitude) ||
+    findNearestCachedForecast(provider.name, latitude, longitude);
+  
+  if (cachedData) {
+    return JSON.parse(cachedData.data);
+  }
+  
+  const staleData = findNearestCachedForecast(provider.name, latitude, longitude, true);
+  return staleData ? { ...JSON.parse(staleData.data), stale: true } : null;
+}
+
 /**
  * Analyzes forecast data to check for freezing conditions
- * @param {Object} forecastData - The data from OpenWeatherMap API
+ * @param {Object} forecastData - Normalised forecast from getForecast
+ * @param {number} threshold - Alert threshold in °C (defaults to TEMP_THRESHOLD from .env)
+ * @param {string} timezone - User's timezone, used to decide what counts as "today"
  * @returns {Object} Analysis of freezing events
  */
-function analyzeForecast(forecastData) {
-  const list = forecastData.list || [];
+function analyzeForecast(forecastData, threshold = DEFAULT_TEMP_THRESHOLD, timezone = DEFAULT_TIMEZONE) {
   const now = new Date();
   const warningTime = parseInt(process.env.WARNING_TIME || '6') * 60 * 60 * 1000; // Convert hours to ms
   
-  // Sort forecast entries chronologically
-  list.sort((a, b) => a.dt - b.dt);
+  // Sort forecast points chronologically, starting from the latest point at or before now
+  const sorted = [...(forecastData.points || [])].sort((a, b) => a.time - b.time);
+  const firstCurrent = Math.max(0, sorted.filter(point => point.time <= now.getTime()).length - 1);
+  const points = sorted.slice(firstCurrent);
+  
+  // Fill in the temperature curve between samples, including estimated dawn minima
+  const curve = buildTemperatureCurve(points, forecastData.latitude, forecastData.longitude);
   
   const result = {
-    locationName: forecastData.city?.name || 'Unknown location',
-    currentTemp: list[0]?.main?.temp,
+    locationName: forecastData.locationName || 'Unknown location',
+    provider: forecastData.provider,
+    threshold,
+    currentTemp: points[0]?.temperature,
     isBelowFreezing: false,
     willFreezeSoon: false,
     freezingForecast: null,
     freezingTime: null,
+    freezingLow: null,
+    freezingLowTime: null,
+    riskLevel: RISK_LEVELS.NONE,
+    hoursBelowThreshold: null,
+    belowThresholdUntil: null,
+    overnightLow: null,
+    overnightLowTime: null,
     morningWarning: false,
     willBeBelowFreezing: false,
     allClear: true
   };
   
   // Check current conditions
-  if (result.currentTemp <= TEMP_THRESHOLD) {
+  if (result.currentTemp <= threshold) {
     result.isBelowFreezing = true;
     result.allClear = false;
   }
   
+  // Classify the frost risk of every point (air frost, or ground frost on clear, calm nights)
+  const risks = curve.map(point => classifyFrostRisk(point, {
+    latitude: forecastData.latitude,
+    longitude: forecastData.longitude,
+    threshold
+  }));
+  
   // Look for upcoming freezing events
-  for (const item of list) {
-    const forecastTime = new Date(item.dt * 1000);
-    const temp = item.main.temp;
+  for (const [index, point] of curve.entries()) {
+    let time = point.time;
     
-    // If we find a temperature below threshold
-    if (temp <= TEMP_THRESHOLD) {
+    // Estimate when an air frost actually begins between the previous point and this one
+    if (index > 0 && risks[index].level === RISK_LEVELS.AIR_FROST && point.temperature < curve[index - 1].temperature) {
+      time = interpolateTime(curve[index - 1], point, threshold);
+    }
+    
+    // The current point started before now; anything it forecasts applies from now
+    const forecastTime = new Date(Math.max(time, now.getTime()));
+    
+    // If we find a point with any frost risk
+    if (risks[index].level !== RISK_LEVELS.NONE) {
       result.willBeBelowFreezing = true;
       result.allClear = false;
       
       // If this is the first freezing event we've found
       if (!result.freezingForecast) {
-        result.freezingForecast = item;
+        result.freezingForecast = point;
         result.freezingTime = forecastTime;
         
         // Check if it's within the warning period (e.g., 6 hours)
         const timeUntilFreezing = forecastTime.getTime() - now.getTime();
-        if (timeUntilFreezing <= warningTime && timeUntilFreezing > 0) {
+        if (timeUntilFreezing <= warningTime && timeUntilFreezing >= 0) {
           result.willFreezeSoon = true;
         }
       }
     }
   }
   
+  // Find the worst risk and lowest temperature plants will face (air or estimated
+  // ground temperature) during the first spell at risk
+  if (result.freezingForecast) {
+    const start = curve.indexOf(result.freezingForecast);
+    result.freezingLow = Infinity;
+    
+    for (let i = start; i < curve.length; i++) {
+      if (risks[i].level === RISK_LEVELS.NONE) break;
+      result.riskLevel = worstRisk(result.riskLevel, risks[i].level);
+      
+      const low = Math.min(curve[i].temperature, risks[i].groundTemp);
+      if (low < result.freezingLow) {
+        result.freezingLow = low;
+        result.freezingLowTime = new Date(curve[i].time);
+      }
+    }
+  }
+  
+  // How long the air stays at or below the threshold once it gets there
+  const spell = findSpellBelow(curve, threshold);
+  if (spell) {
+    result.hoursBelowThreshold = spell.hours;
+    result.belowThresholdUntil = spell.end;
+  }
+  
+  // Estimated lowest air temperature over the next 24 hours
+  const overnight = findLowest(curve, now.getTime(), now.getTime() + 24 * 60 * 60 * 1000);
+  if (overnight) {
+    result.overnightLow = overnight.temperature;
+    result.overnightLowTime = new Date(overnight.time);
+  }
+  
   // Check if we need to issue a morning warning
   if (result.willBeBelowFreezing && !result.isBelowFreezing) {
-    // Is there a freezing event today?
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    
-    if (result.freezingTime && result.freezingTime < tomorrow) {
+    // Is there a freezing event today (in the user's timezone)?
+    if (result.freezingTime && isSameLocalDay(result.freezingTime, now, timezone)) {
       // It will freeze sometime today
       result.morningWarning = true;
     }
@@ -150,43 +297,27 @@ function analyzeForecast(forecastData) {
 }
 
 /**
- * Find locations near the given coordinates
- * @param {number} latitude
- * @param {number} longitude
- * @param {number} maxDistance - Maximum distance in meters
- * @param {Array} allLocations - Array of all locations to check
- * @returns {Array} Locations within the specified distance
+ * Get how often forecasts were served from the cache since the bot started
+ * Forced refreshes aren't counted
+ * @returns {Object} { hits, misses }
  */
-function findNearbyLocations(latitude, longitude, maxDistance, allLocations) {
-  const nearbyLocations = [];
-  
-  for (const location of allLocations) {
-    const distance = geolib.getDistance(
-      { latitude, longitude },
-      { latitude: location.latitude, longitude: location.longitude }
-    );
-    
-    if (distance <= maxDistance) {
-      nearbyLocations.push({
-        ...location,
-        distance
-      });
-    }
-  }
-  
-  return nearbyLocations;
+function getCacheStats() {
+  return { ...cacheStats };
 }
 
 /**
- * Clears expired entries from the weather cache
+ * Clears old entries from the weather cache, and old API call counts
+ * Expired entries are kept for GEOCACHE_STALE_RETENTION as a fallback for when the provider is unavailable
  */
 function cleanupWeatherCache() {
-  weatherCacheOps.cleanupExpiredCache.run();
+  weatherCacheOps.cleanupExpiredCache.run(new Date(Date.now() - GEOCACHE_STALE_RETENTION).toISOString());
+  cleanupApiUsage();
 }
 
 module.exports = {
   getForecast,
+  getCachedForecast,
   analyzeForecast,
-  findNearbyLocations,
+  getCacheStats,
   cleanupWeatherCache
 }; 
\ No newline at end of file